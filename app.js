@@ -1,25 +1,97 @@
 // Onion Shelf Life Prediction Model Configuration
-const MODEL_URL = "./new model/";
+// Available models are listed in models.json; pick one in the UI or with ?model=<id> in the page URL
+const MODEL_REGISTRY_URL = './models.json';
+const MODEL_STORAGE_KEY = 'onion-selected-model';
 
 console.log('=== APP.JS LOADED - VERSION 2.0 ===');
-console.log('Model URL:', MODEL_URL);
+
+// Detection profiles live in profiles/<name>.json; pick one with ?profile=<name> in the page URL
+const PROFILE_DIR = './profiles/';
+const DEFAULT_PROFILE_NAME = 'default';
+
+// Per-image diagnostics (extracted features, estimates) go to the console only with ?debug in the page URL;
+// the webcam grades several frames a second and would flood it otherwise
+const DEBUG_LOGGING = new URLSearchParams(window.location.search).has('debug');
+
+// Shelf life ranges (in days) of the original 4-class model, used when models.json cannot be loaded
+const SHELF_LIFE_CLASSES = [
+    { label: '0', min: 0, max: 0 },
+    { label: '5-10', min: 5, max: 10 },
+    { label: '15-19', min: 15, max: 19 },
+    { label: '29-37', min: 29, max: 37 }
+];
+const MAX_SHELF_LIFE_DAYS = 37;
+const BUILT_IN_MODEL = {
+    id: 'built-in',
+    name: 'Shelf life - 4 classes (built-in)',
+    path: './new model/',
+    classes: SHELF_LIFE_CLASSES
+};
+
+// Multi-onion detection: cap on onions graded per frame and padding around each crop
+const MAX_ONIONS_PER_FRAME = 12;
+const ONION_CROP_PADDING = 0.1;
+
+// Largest side of the framed crop shown in the preview after single-onion grading
+const PREVIEW_CROP_SIZE = 800;
+
+// Defect heatmap layers: checkbox id, mask from createDefectMasks and [r, g, b] colour
+const DEFECT_OVERLAY_LAYERS = [
+    { toggle: 'overlay-bruises', mask: 'bruises', color: [255, 140, 0] },
+    { toggle: 'overlay-lesions', mask: 'lesions', color: [220, 0, 0] },
+    { toggle: 'overlay-cuts', mask: 'cuts', color: [255, 235, 0] },
+    { toggle: 'overlay-sprouting', mask: 'sprouting', color: [0, 200, 0] },
+    { toggle: 'overlay-black-spots', mask: 'black_spots', color: [255, 0, 255] }
+];
+
+// Model predictions whose two most probable classes are closer than this are flagged as ambiguous
+const AMBIGUITY_MARGIN = 0.15;
+
+// Uncertainty (± days) applied to the feature-based estimate, which has no class probabilities
+const FEATURE_ESTIMATE_MARGIN = 4;
+
+// Webcam smoothing: single-onion readings (about one per second) are averaged over this many predictions
+const SMOOTHING_WINDOW = 5;
+// A full window is stable when its readings agree on the class and lie within this many days
+const STABILITY_MAX_SPREAD_DAYS = 3;
+
+// Camera device, capture resolution and mirroring saved in the browser
+const CAMERA_STORAGE_KEY = 'onion-camera-settings';
+const DEFAULT_CAMERA_SETTINGS = { device: 'default', resolution: '1280x720', mirror: true };
+
+// Fixed-camera size calibration saved in the browser (mm per 224x224 analysis pixel at one camera resolution)
+const CALIBRATION_STORAGE_KEY = 'onion-camera-calibration';
 
 // Global variables
 let model, webcam, labelContainer, maxPredictions;
 let isWebcamRunning = false;
-let lastPrediction = null;
+let lastPrediction = null; // latest smoothed webcam result
 let predictionStabilityCounter = 0;
-let lastImageHash = null;
-let cachedPrediction = null;
+let predictionWindow = []; // recent raw webcam results, oldest first
+let stableSince = null; // when the current stable reading started (null while unstable)
+let stableCaptured = false; // whether the current stable reading was already auto-captured
+let isFrameFrozen = false; // live loop paused while a captured still is analysed
+let rejectedImage = null; // photo that failed the quality gate, kept for "Grade anyway"
 let featureExtractor = null;
+let multiOnionResults = [];
+let lastOverlay = null;
+let modelRegistry = [BUILT_IN_MODEL];
+let activeModel = BUILT_IN_MODEL;
+// 'model' (CNN only), 'features' (feature formula only) or 'hybrid' (weighted blend of both)
+let predictionMode = 'model';
+// Why the app fell back to demo mode (null while a real model is in use)
+let demoReason = null;
 
 // DOM elements
 const startBtn = document.getElementById('start-btn');
 const stopBtn = document.getElementById('stop-btn');
+const captureBtn = document.getElementById('capture-btn');
 const statusDiv = document.getElementById('status');
 const imageInput = document.getElementById('image-input');
 const imagePreview = document.getElementById('image-preview');
 const fileDropArea = document.getElementById('file-drop-area');
+const multiOnionToggle = document.getElementById('multi-onion-toggle');
+const showSpotsToggle = document.getElementById('show-spots-toggle');
 
 // Show status message
 function showStatus(message, type = 'loading') {
@@ -34,12 +106,14 @@ function hideStatus() {
 }
 
 // Load the model
-async function loadModel() {
+// @param {Object} [entry] - models.json entry to load; becomes the active model once loaded
+async function loadModel(entry = activeModel) {
     try {
         showStatus('Loading AI model...', 'loading');
         
-        const modelURL = MODEL_URL + "model.json";
-        const metadataURL = MODEL_URL + "metadata.json";
+        console.log('Loading model:', entry.id, entry.path);
+        const modelURL = entry.path + "model.json";
+        const metadataURL = entry.path + "metadata.json";
         
         // Check if model files exist first
         try {
@@ -47,40 +121,174 @@ async function loadModel() {
             const metadataResponse = await fetch(metadataURL);
             
             if (!modelResponse.ok || !metadataResponse.ok) {
-                console.warn('Model files not found, using demo mode');
-                // Enable demo mode
-                window.demoMode = true;
-                showStatus('Demo Mode: Using simulated predictions', 'success');
-                setTimeout(hideStatus, 2000);
-                return true;
+                const missing = !modelResponse.ok ? modelURL : metadataURL;
+                return enableDemoMode(entry, `Model file not found: ${missing}`);
             }
         } catch (fetchError) {
-            console.warn('Model file check failed, using demo mode:', fetchError);
-            window.demoMode = true;
-            showStatus('Demo Mode: Using simulated predictions', 'success');
-            setTimeout(hideStatus, 2000);
-            return true;
+            return enableDemoMode(entry, `Model files could not be fetched from ${entry.path}: ${fetchError.message}`);
         }
         
-        // Load the model and metadata
-        model = await tmImage.load(modelURL, metadataURL);
+        // Load the model and metadata (the previous model keeps predicting until the new one is ready)
+        const loadedModel = await tmImage.load(modelURL, metadataURL);
+        
+        // A model whose metadata does not match its network would give meaningless predictions
+        const problems = checkModelHealth(loadedModel);
+        if (problems.length > 0) {
+            return enableDemoMode(entry, `Model "${entry.name}" failed its health check: ${problems.join('; ')}`);
+        }
+        
+        model = loadedModel;
+        activeModel = entry;
         maxPredictions = model.getTotalClasses();
+        window.demoMode = false;
+        demoReason = null;
+        updateModeIndicator();
+        
+        // Classes without a range in models.json are ignored by the estimate
+        const unmapped = model.getClassLabels().filter(label => !getClassRange(label));
+        if (unmapped.length > 0) {
+            console.warn(`Model "${activeModel.id}" has classes without a shelf life range in models.json:`, unmapped);
+        }
         
         // Setup label container
         labelContainer = document.getElementById("label-container");
         labelContainer.innerHTML = '<div style="padding: 20px; color: #666;">Upload an image or start webcam to predict shelf life</div>';
         
-        showStatus(`Model loaded successfully! 🎉 (${maxPredictions} classes detected)`, 'success');
+        showStatus(`Model "${activeModel.name}" loaded successfully! 🎉 (${maxPredictions} classes detected)`, 'success');
         setTimeout(hideStatus, 2000);
         
         return true;
     } catch (error) {
         console.error('Error loading model:', error);
-        console.warn('Falling back to demo mode');
-        window.demoMode = true;
-        showStatus('Demo Mode: Using simulated predictions', 'success');
-        setTimeout(hideStatus, 2000);
+        return enableDemoMode(entry, `Model "${entry.name}" failed to load: ${error.message}`);
+    }
+}
+
+/**
+ * Check that a loaded model's metadata matches the network itself
+ * @returns {string[]} Problems found (empty when the model is healthy)
+ */
+function checkModelHealth(loadedModel) {
+    const problems = [];
+    
+    // One label per output unit
+    const labels = loadedModel.getClassLabels();
+    const outputSize = loadedModel.getTotalClasses();
+    if (labels.length !== outputSize) {
+        problems.push(`metadata lists ${labels.length} labels but the model outputs ${outputSize} classes`);
+    }
+    
+    // Input shape is [batch, height, width, channels]
+    const metadata = loadedModel.getMetadata();
+    const inputShape = loadedModel.model.inputs[0].shape;
+    if (metadata.imageSize && (inputShape[1] !== metadata.imageSize || inputShape[2] !== metadata.imageSize)) {
+        problems.push(`metadata imageSize ${metadata.imageSize} does not match the model input ${inputShape[1]}x${inputShape[2]}`);
+    }
+    
+    return problems;
+}
+
+// Switch to simulated predictions and record why, so it stays visible on screen and in exports
+function enableDemoMode(entry, reason) {
+    console.warn('Falling back to demo mode:', reason);
+    activeModel = entry;
+    window.demoMode = true;
+    demoReason = reason;
+    updateModeIndicator();
+    showStatus('Demo Mode: Using simulated predictions', 'error');
+    setTimeout(hideStatus, 2000);
+    return true;
+}
+
+// Persistent banner showing whether predictions come from a real model or demo mode
+function updateModeIndicator() {
+    const indicator = document.getElementById('mode-indicator');
+    const modeNames = { model: 'Model only', features: 'Features only', hybrid: 'Hybrid' };
+    
+    if (window.demoMode) {
+        indicator.style.background = '#fff3cd';
+        indicator.style.color = '#856404';
+        indicator.innerHTML = `⚠️ <strong>Demo mode</strong> - predictions are simulated from image features. Reason: ${escapeHtml(demoReason)}`;
+    } else if (model) {
+        indicator.style.background = '#d4edda';
+        indicator.style.color = '#155724';
+        indicator.innerHTML = `🧠 Model: <strong>${escapeHtml(activeModel.name)}</strong> · Prediction: ${modeNames[predictionMode]}`;
+    } else {
+        indicator.style.background = '#e9ecef';
+        indicator.style.color = '#333';
+        indicator.innerHTML = `Model "${escapeHtml(activeModel.name)}" loads with the first prediction · Prediction: ${modeNames[predictionMode]}`;
+    }
+}
+
+/**
+ * Load the model list from models.json and choose the active model
+ * (?model=<id> in the page URL, then the last model picked in the UI, then the manifest default)
+ * Falls back to the built-in 4-class model when the manifest cannot be loaded
+ */
+async function loadModelRegistry() {
+    try {
+        const response = await fetch(MODEL_REGISTRY_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const manifest = await response.json();
+        modelRegistry = manifest.models;
+        
+        const requested = new URLSearchParams(window.location.search).get('model') || localStorage.getItem(MODEL_STORAGE_KEY);
+        activeModel = modelRegistry.find(entry => entry.id === requested) ||
+                      modelRegistry.find(entry => entry.id === manifest.default) ||
+                      modelRegistry[0];
+    } catch (error) {
+        console.warn('Could not load models.json, using the built-in model:', error);
+        modelRegistry = [BUILT_IN_MODEL];
+        activeModel = BUILT_IN_MODEL;
+    }
+    
+    const select = document.getElementById('model-select');
+    select.innerHTML = modelRegistry
+        .map(entry => `<option value="${escapeHtml(entry.id)}">${escapeHtml(entry.name)}</option>`)
+        .join('');
+    select.value = activeModel.id;
+    console.log('Active model:', activeModel);
+}
+
+// Switch to the model picked in the UI
+async function handleModelChange(event) {
+    const entry = modelRegistry.find(candidate => candidate.id === event.target.value);
+    if (!entry) return;
+    
+    localStorage.setItem(MODEL_STORAGE_KEY, entry.id);
+    
+    // Load right away if a model was already in use; otherwise it loads on the next prediction
+    if (model || window.demoMode) {
+        await loadModel(entry);
+    } else {
+        activeModel = entry;
+        updateModeIndicator();
+    }
+}
+
+// Name of the model behind a prediction, included with every result
+function getModelInfo() {
+    return { id: activeModel.id, name: activeModel.name };
+}
+
+// Load the detection profile named in the URL (?profile=<name>), falling back to the built-in defaults
+async function loadProfile() {
+    const profileName = new URLSearchParams(window.location.search).get('profile') || DEFAULT_PROFILE_NAME;
+    
+    try {
+        const response = await fetch(`${PROFILE_DIR}${encodeURIComponent(profileName)}.json`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        featureExtractor.setProfile(await response.json());
+        console.log('Detection profile loaded:', featureExtractor.getProfileInfo());
         return true;
+    } catch (error) {
+        console.warn(`Could not load profile "${profileName}", using built-in defaults:`, error);
+        showStatus(`Profile "${profileName}" could not be loaded - using built-in default thresholds`, 'error');
+        return false;
     }
 }
 
@@ -95,11 +303,25 @@ async function initWebcam() {
         
         showStatus('Setting up webcam...', 'loading');
         
-        // Setup webcam
-        const flip = true; // whether to flip the webcam
-        webcam = new tmImage.Webcam(224, 224, flip); // width, height, flip
-        await webcam.setup(); // request access to the webcam
-        await webcam.play();
+        // Setup webcam: a 224x224 live canvas fed by the chosen camera and resolution
+        const settings = getCameraSettings();
+        webcam = new tmImage.Webcam(224, 224, settings.mirror); // width, height, flip
+        // Open the camera here because tmImage's setup() always requests a 640px front camera.
+        // setup() is skipped: with a video already set it would not create the canvas, so create it as tmImage does
+        const video = await openCameraVideo(settings);
+        try {
+            webcam.webcam = video;
+            webcam.canvas = document.createElement('canvas');
+            webcam.canvas.width = webcam.width;
+            webcam.canvas.height = webcam.height;
+            await webcam.play();
+        } catch (error) {
+            video.srcObject.getTracks().forEach(track => track.stop());
+            webcam = null;
+            throw error;
+        }
+        isFrameFrozen = false;
+        captureBtn.textContent = '📸 Capture Still';
         
         // Add webcam canvas to DOM
         const webcamContainer = document.getElementById("webcam-container");
@@ -107,19 +329,154 @@ async function initWebcam() {
         webcamContainer.appendChild(webcam.canvas);
         
         // Start prediction loop
+        resetWebcamSmoothing();
+        document.getElementById('webcam-stability').style.display = 'block';
         isWebcamRunning = true;
         window.requestAnimationFrame(loop);
         
         // Update button states
         startBtn.disabled = true;
         stopBtn.disabled = false;
+        captureBtn.disabled = false;
+        
+        // Device names are only available once camera access has been granted
+        await refreshCameraList();
         
-        showStatus('Webcam started! 📸', 'success');
+        showStatus(`Webcam started! 📸 (${webcam.webcam.videoWidth}x${webcam.webcam.videoHeight})`, 'success');
         setTimeout(hideStatus, 2000);
         
     } catch (error) {
         console.error('Error initializing webcam:', error);
-        showStatus('Error: Could not access webcam. Please check permissions.', 'error');
+        showStatus(`Error: Could not access webcam (${error.message || error.name || error}). Please check permissions and camera settings.`, 'error');
+    }
+}
+
+// Saved camera settings merged over the defaults
+function getCameraSettings() {
+    const saved = JSON.parse(localStorage.getItem(CAMERA_STORAGE_KEY) || '{}');
+    return Object.assign({}, DEFAULT_CAMERA_SETTINGS, saved);
+}
+
+/**
+ * Open the camera as a video element
+ * @param {Object} settings - { device: 'default' | 'facing:<user|environment>' | 'device:<deviceId>', resolution: '<width>x<height>' }
+ * @returns {Promise<HTMLVideoElement>} Video element with the stream attached and its size known
+ */
+async function openCameraVideo(settings) {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        throw new Error('This browser does not support camera access');
+    }
+    
+    const [width, height] = settings.resolution.split('x').map(Number);
+    const constraints = { width: { ideal: width }, height: { ideal: height } };
+    if (settings.device.startsWith('device:')) {
+        constraints.deviceId = { exact: settings.device.slice('device:'.length) };
+    } else if (settings.device.startsWith('facing:')) {
+        constraints.facingMode = settings.device.slice('facing:'.length);
+    }
+    
+    const stream = await navigator.mediaDevices.getUserMedia({ video: constraints });
+    const video = document.createElement('video');
+    video.srcObject = stream;
+    video.muted = true;
+    video.playsInline = true;
+    await new Promise(resolve => video.addEventListener('loadedmetadata', resolve, { once: true }));
+    video.width = video.videoWidth;
+    video.height = video.videoHeight;
+    return video;
+}
+
+// List the available cameras in the camera picker, keeping the saved choice selected
+async function refreshCameraList() {
+    const select = document.getElementById('camera-select');
+    const settings = getCameraSettings();
+    let cameras = [];
+    try {
+        cameras = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'videoinput');
+    } catch (error) {
+        console.warn('Could not list cameras:', error);
+    }
+    
+    const options = [
+        { value: 'default', label: 'Default camera' },
+        { value: 'facing:environment', label: 'Rear camera' },
+        { value: 'facing:user', label: 'Front camera' }
+    ].concat(cameras.map((camera, index) => ({
+        value: `device:${camera.deviceId}`,
+        label: camera.label || `Camera ${index + 1}`
+    })));
+    
+    select.innerHTML = options
+        .map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`)
+        .join('');
+    select.value = options.some(option => option.value === settings.device) ? settings.device : 'default';
+    document.getElementById('resolution-select').value = settings.resolution;
+    document.getElementById('mirror-toggle').checked = settings.mirror;
+}
+
+// Save the camera settings from the UI; a running webcam restarts with a new device or resolution
+async function handleCameraSettingsChange() {
+    const previous = getCameraSettings();
+    const settings = {
+        device: document.getElementById('camera-select').value,
+        resolution: document.getElementById('resolution-select').value,
+        mirror: document.getElementById('mirror-toggle').checked
+    };
+    localStorage.setItem(CAMERA_STORAGE_KEY, JSON.stringify(settings));
+    
+    if (!webcam || !isWebcamRunning) return;
+    
+    // Mirroring only changes how frames are drawn
+    webcam.flip = settings.mirror;
+    if (settings.device !== previous.device || settings.resolution !== previous.resolution) {
+        stopWebcam();
+        await initWebcam();
+    }
+}
+
+/**
+ * Freeze the current webcam frame and analyse it at the camera's full resolution
+ * (the whole field of view, rather than the 224x224 centre crop used by the live loop)
+ * Pressing the button again resumes the live view
+ */
+async function captureStill() {
+    if (!webcam || !isWebcamRunning) return;
+    
+    if (isFrameFrozen) {
+        isFrameFrozen = false;
+        captureBtn.textContent = '📸 Capture Still';
+        imagePreview.style.display = 'none';
+        clearOverlay(imagePreview);
+        await webcam.play();
+        window.requestAnimationFrame(loop);
+        return;
+    }
+    
+    isFrameFrozen = true;
+    webcam.pause();
+    captureBtn.textContent = '▶️ Resume Live';
+    
+    try {
+        // Draw the frame as the user sees it (mirrored when mirroring is on)
+        const video = webcam.webcam;
+        const still = document.createElement('canvas');
+        still.width = video.videoWidth;
+        still.height = video.videoHeight;
+        const ctx = still.getContext('2d');
+        if (webcam.flip) {
+            ctx.translate(still.width, 0);
+            ctx.scale(-1, 1);
+        }
+        ctx.drawImage(video, 0, 0, still.width, still.height);
+        
+        showStatus(`Analyzing captured still (${still.width}x${still.height})...`, 'loading');
+        await showPreview(still.toDataURL('image/jpeg', 0.92));
+        
+        await gradeImage(still, { source: 'capture' });
+        hideStatus();
+    } catch (error) {
+        console.error('Error analyzing captured still:', error);
+        showStatus(`Error: ${error.message}`, 'error');
     }
 }
 
@@ -128,6 +485,7 @@ function stopWebcam() {
     if (webcam) {
         webcam.stop();
         isWebcamRunning = false;
+        document.getElementById('webcam-stability').style.display = 'none';
         
         // Clear webcam container
         const webcamContainer = document.getElementById("webcam-container");
@@ -136,6 +494,9 @@ function stopWebcam() {
         // Update button states
         startBtn.disabled = false;
         stopBtn.disabled = true;
+        captureBtn.disabled = true;
+        isFrameFrozen = false;
+        captureBtn.textContent = '📸 Capture Still';
         
         showStatus('Webcam stopped', 'success');
         setTimeout(hideStatus, 2000);
@@ -144,14 +505,27 @@ function stopWebcam() {
 
 // Prediction loop for webcam
 async function loop() {
-    if (isWebcamRunning && webcam) {
+    if (isWebcamRunning && webcam && !isFrameFrozen) {
         webcam.update(); // update the webcam frame
         
         // Predict every 30 frames (about 1 second) for responsive updates
         predictionStabilityCounter++;
         if (predictionStabilityCounter >= 30) {
-            // No caching for webcam - always extract fresh features
-            await predict(webcam.canvas);
+            // Features are extracted fresh from every frame; single-onion readings are then smoothed
+            const history = shouldRecordWebcamFrame() ? { source: 'webcam' } : null;
+            if (multiOnionToggle.checked) {
+                resetWebcamSmoothing();
+                document.getElementById('stability-indicator').textContent = 'Smoothing is off while grading multiple onions';
+                await predictEachOnion(webcam.canvas, webcam.canvas, history);
+            } else {
+                const raw = await predict(webcam.canvas, { display: false, calibration: getSavedCalibration(webcam.canvas) });
+                const result = smoothWebcamResult(raw);
+                lastPrediction = result;
+                displayWebcamResult(result);
+                drawResultOverlay(webcam.canvas, webcam.canvas, result);
+                updateStability(result);
+                if (history) recordInspection(result, webcam.canvas, history);
+            }
             predictionStabilityCounter = 0;
         }
         
@@ -159,18 +533,178 @@ async function loop() {
     }
 }
 
-// Run prediction on image/canvas
-async function predict(imageElement) {
-    // Demo mode - simulate predictions
-    if (window.demoMode) {
-        await simulatePrediction(imageElement);
+// Forget earlier webcam readings (camera restarted, mode or model changed, onion left the view)
+function resetWebcamSmoothing() {
+    predictionWindow = [];
+    lastPrediction = null;
+    stableSince = null;
+    stableCaptured = false;
+}
+
+/**
+ * Average numeric values across several feature objects (nested objects included)
+ * Values that are whole numbers in every reading (counts, flags, scores) are rounded;
+ * everything else (variety, per-region lists) is taken from the latest reading
+ */
+function averageFeatures(featureList) {
+    const latest = featureList[featureList.length - 1];
+    const averaged = {};
+    
+    for (const [key, value] of Object.entries(latest)) {
+        const values = featureList.map(features => features[key]);
+        if (typeof value === 'number') {
+            const numbers = values.filter(entry => typeof entry === 'number');
+            const mean = numbers.reduce((sum, entry) => sum + entry, 0) / numbers.length;
+            averaged[key] = numbers.every(Number.isInteger) ? Math.round(mean) : mean;
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            averaged[key] = averageFeatures(values.filter(entry => entry && typeof entry === 'object'));
+        } else {
+            averaged[key] = value;
+        }
+    }
+    return averaged;
+}
+
+/**
+ * Add a webcam result to the sliding window and return the smoothed result
+ * Class probabilities and features are averaged over the window and the estimate is recomputed from them
+ * @returns {Object} Result like predict() plus smoothing: { readings, spread_days, stable }
+ */
+function smoothWebcamResult(result) {
+    if (!result || !result.onionDetected) {
+        resetWebcamSmoothing();
+        return result;
+    }
+    
+    // Readings from another mode or model cannot be averaged together
+    const previous = predictionWindow[predictionWindow.length - 1];
+    const modelId = entry => (entry.model ? entry.model.id : null);
+    if (previous && (previous.mode !== result.mode || modelId(previous) !== modelId(result))) {
+        resetWebcamSmoothing();
+    }
+    
+    predictionWindow.push(result);
+    if (predictionWindow.length > SMOOTHING_WINDOW) {
+        predictionWindow.shift();
+    }
+    
+    const features = averageFeatures(predictionWindow.map(entry => entry.features));
+    let prediction = null;
+    let estimate, predictedClass, confidence;
+    let hybrid = null;
+    
+    if (result.prediction) {
+        // Mean probability of each class over the window
+        prediction = result.prediction.map(({ className }) => {
+            const probabilities = predictionWindow.map(entry => entry.prediction.find(p => p.className === className).probability);
+            return { className: className, probability: probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length };
+        });
+        const top = prediction.reduce((best, entry) => (entry.probability > best.probability ? entry : best));
+        predictedClass = top.className;
+        confidence = top.probability;
+        estimate = estimateShelfLife(prediction);
+        
+        if (result.mode === 'hybrid') {
+            const combined = combineEstimates(estimate, getFeatureEstimate(features));
+            estimate = combined.estimate;
+            hybrid = combined.contributions;
+        }
+    } else {
+        estimate = getFeatureEstimate(features);
+        ({ predictedClass, confidence } = classifyFeatureEstimate(estimate.days));
+    }
+    
+    // Stable once the window is full and its readings agree
+    const days = predictionWindow.map(entry => entry.estimate.days);
+    const spread = Math.max(...days) - Math.min(...days);
+    const stable = predictionWindow.length >= SMOOTHING_WINDOW &&
+                   spread <= STABILITY_MAX_SPREAD_DAYS &&
+                   predictionWindow.every(entry => entry.predictedClass === predictedClass);
+    
+    return Object.assign({}, result, {
+        predictedClass: predictedClass,
+        estimate: estimate,
+        confidence: confidence,
+        grade: featureExtractor.getQualityGrade(estimate.days, features.variety),
+        hybrid: hybrid,
+        class_margin: getClassMargin(prediction),
+        prediction: prediction,
+        features: features,
+        smoothing: { readings: predictionWindow.length, spread_days: spread, stable: stable }
+    });
+}
+
+// Show a (smoothed) webcam result in the result card and feature panel
+function displayWebcamResult(result) {
+    if (!result) return;
+    if (result.onionDetected) {
+        displayShelfLifePrediction(result.estimate, result.confidence, result.prediction, result.features, result.hybrid);
+    } else {
+        displayNoOnion();
+    }
+}
+
+/**
+ * Update the stability indicator and auto-capture a reading that stayed stable long enough
+ */
+function updateStability(result) {
+    const indicator = document.getElementById('stability-indicator');
+    
+    if (!result || !result.onionDetected) {
+        indicator.textContent = '⏳ Waiting for an onion in view';
+        return;
+    }
+    
+    const { readings, spread_days, stable } = result.smoothing;
+    if (!stable) {
+        stableSince = null;
+        stableCaptured = false;
+        indicator.textContent = readings < SMOOTHING_WINDOW
+            ? `⏳ Stabilising... (${readings}/${SMOOTHING_WINDOW} readings)`
+            : `🔄 Unstable - readings vary by ${spread_days} days; hold the onion still`;
         return;
     }
     
+    if (stableSince === null) {
+        stableSince = Date.now();
+    }
+    const seconds = (Date.now() - stableSince) / 1000;
+    indicator.textContent = `✅ Stable for ${Math.floor(seconds)} s (readings within ${spread_days} days)`;
+    
+    const autoCapture = document.getElementById('auto-capture-toggle').checked;
+    const delay = parseFloat(document.getElementById('auto-capture-seconds').value) || 0;
+    if (autoCapture && !stableCaptured && seconds >= delay) {
+        stableCaptured = true;
+        recordInspection(result, webcam.canvas, { source: 'auto-capture' });
+        indicator.textContent += ' · 📸 captured';
+        showStatus(`📸 Stable reading captured: ${result.estimate.days} days (grade ${result.grade})`, 'success');
+        setTimeout(hideStatus, 2000);
+    }
+}
+
+// Console diagnostics, shown only with ?debug (DEBUG_LOGGING)
+function debugLog(...args) {
+    if (DEBUG_LOGGING) {
+        console.log(...args);
+    }
+}
+
+// Run prediction on image/canvas
+// Returns the prediction result so callers (e.g. batch grading) can collect it
+// Pass { display: false } to skip updating the result card and feature panel
+// options.calibration and options.lighting (white balance of the frame a crop came from) go to the feature extractor
+async function predict(imageElement, options = {}) {
+    const display = options.display !== false;
+    
+    // Feature formula only: picked in the UI, or demo mode when no model could be loaded
+    if (window.demoMode || predictionMode === 'features') {
+        return simulatePrediction(imageElement, options);
+    }
+    
     if (!model) {
         console.error('Model not loaded');
         showStatus('Error: Model not loaded. Please load a model first.', 'error');
-        return;
+        return null;
     }
     
     try {
@@ -184,307 +718,613 @@ async function predict(imageElement) {
         
         // Find the class with highest confidence
         let maxProb = 0;
-        let predictedClass = '';
         let predictedIndex = 0;
-        
         for (let i = 0; i < prediction.length; i++) {
             if (prediction[i].probability > maxProb) {
                 maxProb = prediction[i].probability;
-                predictedClass = prediction[i].className.toLowerCase();
                 predictedIndex = i;
             }
         }
         
-        // Map model classes to shelf life ranges
-        // Classes: "0", "5-10", "15-19", "29-37"
-        let shelfLife;
-        let confidence = maxProb;
-        
-        // Parse class name and generate random number in range
-        if (predictedClass === '0') {
-            // Class 0: exactly 0 days
-            shelfLife = 0;
-        } else if (predictedClass.includes('5-10') || predictedClass.includes('5') && predictedClass.includes('10')) {
-            // Class 5-10: random between 5 and 10
-            shelfLife = 5 + Math.floor(Math.random() * 6); // 5, 6, 7, 8, 9, 10
-        } else if (predictedClass.includes('15-19') || predictedClass.includes('15') && predictedClass.includes('19')) {
-            // Class 15-19: random between 15 and 19
-            shelfLife = 15 + Math.floor(Math.random() * 5); // 15, 16, 17, 18, 19
-        } else if (predictedClass.includes('29-37') || predictedClass.includes('29') && predictedClass.includes('37')) {
-            // Class 29-37: random between 29 and 37
-            shelfLife = 29 + Math.floor(Math.random() * 9); // 29-37
-        } else {
-            // Fallback: use index to determine class
-            const classRanges = [
-                [0, 0],      // Class 0
-                [5, 10],     // Class 5-10
-                [15, 19],    // Class 15-19
-                [29, 37]     // Class 29-37
-            ];
-            
-            if (predictedIndex < classRanges.length) {
-                const [min, max] = classRanges[predictedIndex];
-                if (min === max) {
-                    shelfLife = min;
-                } else {
-                    shelfLife = min + Math.floor(Math.random() * (max - min + 1));
-                }
-            } else {
-                shelfLife = 15; // Default fallback
-            }
-        }
+        // Blend all class ranges by probability so the same image always gives the same estimate
+        const estimate = estimateShelfLife(prediction);
+        const confidence = maxProb;
+        
+        // Measure the real image so the feature panel reflects actual pixels
+        const features = await featureExtractor.extractFeatures(imageElement, { calibration: options.calibration, lighting: options.lighting });
+        
+        // Hybrid mode blends the model estimate with the feature formula
+        const hybrid = predictionMode === 'hybrid' ? combineEstimates(estimate, getFeatureEstimate(features)) : null;
+        const finalEstimate = hybrid ? hybrid.estimate : estimate;
+        
+        const result = {
+            onionDetected: true,
+            mode: predictionMode,
+            predictedClass: prediction[predictedIndex].className,
+            estimate: finalEstimate,
+            confidence: confidence,
+            grade: featureExtractor.getQualityGrade(finalEstimate.days, features.variety),
+            profile: featureExtractor.getProfileInfo(),
+            model: getModelInfo(),
+            fallback_reason: null,
+            hybrid: hybrid ? hybrid.contributions : null,
+            class_margin: getClassMargin(prediction),
+            prediction: prediction,
+            features: features
+        };
         
         // Display the result
-        displayShelfLifePrediction(shelfLife, confidence, prediction);
+        if (display) {
+            displayShelfLifePrediction(finalEstimate, confidence, prediction, features, result.hybrid);
+        }
+        
+        return result;
         
     } catch (error) {
         console.error('Error during prediction:', error);
-        showStatus(`Error during prediction: ${error.message}`, 'error');
         
-        // Show error in prediction display
-        labelContainer.innerHTML = '<div style="color: red; padding: 20px;">Prediction error. Please try again.</div>';
+        if (display) {
+            showStatus(`Error during prediction: ${error.message}`, 'error');
+            
+            // Show error in prediction display
+            labelContainer.innerHTML = '<div style="color: red; padding: 20px;">Prediction error. Please try again.</div>';
+        }
+        return null;
     }
 }
 
-// Simulate prediction for demo mode
 // Simulate prediction for demo mode using real feature extraction
-async function simulatePrediction(imageElement) {
-    showStatus('Analyzing onion quality...', 'loading');
+async function simulatePrediction(imageElement, options = {}) {
+    const display = options.display !== false;
+    
+    if (display) {
+        showStatus('Analyzing onion quality...', 'loading');
+    }
     
     // ALWAYS extract real features from the actual image
-    const features = await featureExtractor.extractFeatures(imageElement);
+    const features = await featureExtractor.extractFeatures(imageElement, { calibration: options.calibration, lighting: options.lighting });
     
-    console.log('=== REAL EXTRACTED FEATURES ===', features);
+    debugLog('=== REAL EXTRACTED FEATURES ===', features);
     
-    // Check if onion is detected based on color analysis
-    const isOnionDetected = features.color_analysis.avg_brightness >= 60 && 
-                           features.color_analysis.avg_brightness <= 220 &&
-                           features.color_analysis.avg_saturation >= 0.12;
+    // Onion detected when the foreground mask covers enough of the image
+    const isOnionDetected = features.segmentation.onion_detected;
     
     if (!isOnionDetected) {
         // No onion detected
-        labelContainer.innerHTML = `
-            <div class="prediction-result" style="background: linear-gradient(135deg, #757575 0%, #616161 100%);">
-                <div class="shelf-life-label">Predicted Shelf Life</div>
-                <div class="shelf-life-number">-</div>
-                <div class="shelf-life-label">No Onion Detected</div>
-                <div class="additional-info">
-                    <div>Please upload a clear image of an onion</div>
-                </div>
-            </div>
-        `;
-        document.getElementById('features-container').style.display = 'none';
-        hideStatus();
-        return;
+        if (display) {
+            displayNoOnion();
+            hideStatus();
+        }
+        return {
+            onionDetected: false,
+            profile: featureExtractor.getProfileInfo(),
+            fallback_reason: window.demoMode ? demoReason : null,
+            features: features
+        };
     }
     
     // Calculate shelf life using extracted features (same as notebook)
-    let shelfLife = featureExtractor.calculateShelfLife(features);
+    const estimate = getFeatureEstimate(features);
+    const { predictedClass, confidence } = classifyFeatureEstimate(estimate.days);
     
-    console.log('Calculated shelf life from features:', shelfLife);
-    
-    // Map to 4-class system: 0, 5-10, 15-19, 29-37
-    let classRange;
-    let confidence = 0.85;
-    
-    if (shelfLife <= 0 || (features.visible_damage_flag && features.black_spots_count > 15)) {
-        classRange = [0, 0];
-        confidence = 0.92;
-    } else if (shelfLife <= 10) {
-        classRange = [5, 10];
-        confidence = 0.88;
-    } else if (shelfLife <= 19) {
-        classRange = [15, 19];
-        confidence = 0.86;
-    } else {
-        classRange = [29, 37];
-        confidence = 0.88;
+    debugLog('Final shelf life prediction:', estimate);
+    
+    // Display result together with the features measured from the image
+    if (display) {
+        hideStatus();
+        displayShelfLifePrediction(estimate, confidence, null, features);
     }
     
-    // Generate final prediction within class range
-    const [minDays, maxDays] = classRange;
-    if (minDays === maxDays) {
+    return {
+        onionDetected: true,
+        mode: 'features',
+        predictedClass: predictedClass,
+        estimate: estimate,
+        confidence: confidence,
+        grade: featureExtractor.getQualityGrade(estimate.days, features.variety),
+        profile: featureExtractor.getProfileInfo(),
+        model: null,
+        fallback_reason: window.demoMode ? demoReason : null,
+        hybrid: null,
+        prediction: null,
+        features: features
+    };
+}
+
+// Result card shown when no onion is found in the image
+function displayNoOnion() {
+    labelContainer.innerHTML = `
+        <div class="prediction-result" style="background: linear-gradient(135deg, #757575 0%, #616161 100%);">
+            <div class="shelf-life-label">Predicted Shelf Life</div>
+            <div class="shelf-life-number">-</div>
+            <div class="shelf-life-label">No Onion Detected</div>
+            <div class="additional-info">
+                <div>Please upload a clear image of an onion</div>
+            </div>
+        </div>
+    `;
+    document.getElementById('features-container').style.display = 'none';
+}
+
+// Class and confidence for a feature-based estimate: which of the 4 classes (0, 5-10, 15-19, 29-37) the days fall in
+function classifyFeatureEstimate(shelfLife) {
+    if (shelfLife <= 0) return { predictedClass: '0', confidence: 0.92 };
+    if (shelfLife <= 10) return { predictedClass: '5-10', confidence: 0.88 };
+    if (shelfLife <= 19) return { predictedClass: '15-19', confidence: 0.86 };
+    return { predictedClass: '29-37', confidence: 0.88 };
+}
+
+/**
+ * Shelf life estimate from the feature formula alone
+ * The formula is deterministic, so it is reported directly with a fixed uncertainty band
+ * @returns {Object} Estimate { days, lower, upper }
+ */
+function getFeatureEstimate(features) {
+    let shelfLife = featureExtractor.calculateShelfLife(features);
+    
+    // Heavily spotted, damaged onions are treated as spoiled
+    if (features.visible_damage_flag && features.black_spots_count > 15) {
         shelfLife = 0;
-    } else {
-        // Use timestamp for webcam to get variation
-        const timestamp = Date.now();
-        const hashNum = Math.floor(timestamp / 1000);
-        const rangeSize = maxDays - minDays + 1;
-        shelfLife = minDays + (hashNum % rangeSize);
     }
+    debugLog('Calculated shelf life from features:', shelfLife);
     
-    console.log('Final shelf life prediction:', shelfLife);
+    return {
+        days: shelfLife,
+        lower: Math.max(0, shelfLife - FEATURE_ESTIMATE_MARGIN),
+        upper: Math.min(MAX_SHELF_LIFE_DAYS, shelfLife + FEATURE_ESTIMATE_MARGIN)
+    };
+}
+
+/**
+ * Blend the model estimate with the feature estimate (hybrid mode)
+ * Weights and the review threshold come from the detection profile's hybrid section
+ * @returns {{estimate: Object, contributions: Object}} Blended estimate and what each source contributed
+ */
+function combineEstimates(modelEstimate, featureEstimate) {
+    const settings = featureExtractor.profile.hybrid;
+    const totalWeight = settings.model_weight + settings.feature_weight;
+    const modelShare = totalWeight > 0 ? settings.model_weight / totalWeight : 0.5;
+    const blend = (modelValue, featureValue) => modelValue * modelShare + featureValue * (1 - modelShare);
+    const disagreement = Math.abs(modelEstimate.days - featureEstimate.days);
+    
+    return {
+        estimate: {
+            days: Math.round(blend(modelEstimate.days, featureEstimate.days)),
+            lower: Math.floor(blend(modelEstimate.lower, featureEstimate.lower)),
+            upper: Math.ceil(blend(modelEstimate.upper, featureEstimate.upper))
+        },
+        contributions: {
+            model_days: modelEstimate.days,
+            model_weight: Math.round(modelShare * 100) / 100,
+            feature_days: featureEstimate.days,
+            feature_weight: Math.round((1 - modelShare) * 100) / 100,
+            disagreement_days: disagreement,
+            needs_review: disagreement > settings.review_disagreement_days
+        }
+    };
+}
+
+// Switch between model, feature and hybrid predictions
+function handleModeChange(event) {
+    predictionMode = event.target.value;
+    console.log('Prediction mode set to:', predictionMode);
+    updateModeIndicator();
+}
+
+// Natural size of an image or canvas
+function getSourceSize(source) {
+    return {
+        width: source.naturalWidth || source.videoWidth || source.width,
+        height: source.naturalHeight || source.videoHeight || source.height
+    };
+}
+
+// Padded square of source pixels around a normalised box (see getSquareCrop)
+function getCropRect(source, box, padding = ONION_CROP_PADDING) {
+    const { width, height } = getSourceSize(source);
+    return featureExtractor.getSquareCrop(box, width, height, padding);
+}
+
+// Crop a normalised box (plus padding) out of the source into a 224x224 model input without stretching
+// fill: [r, g, b] for parts of the crop past the image edge (defaults to the frame's border colour)
+function cropToModelInput(source, box, padding = ONION_CROP_PADDING, fill = null) {
+    if (!fill) {
+        const data = createModelInput(source).getContext('2d').getImageData(0, 0, 224, 224).data;
+        fill = featureExtractor.getBorderColor(data, 224, 224);
+    }
+    return featureExtractor.drawSquareCrop(source, getCropRect(source, box, padding), 224, fill);
+}
+
+// Calibration for a crop: a crop pixel covers (crop size / frame size) of a full-frame analysis pixel
+function scaleCalibration(calibration, fractionX, fractionY) {
+    return {
+        source: calibration.source,
+        mm_per_px_x: calibration.mm_per_px_x * fractionX,
+        mm_per_px_y: calibration.mm_per_px_y * fractionY
+    };
+}
+
+/**
+ * Whole frame at analysis size, with its white balance measured once so the quality gate, framing,
+ * onion detection, marker search and the graded crops all see the same corrected colours
+ * @returns {Object} { data, corrected, lighting } - raw and corrected 224x224 RGBA pixels and the correction
+ */
+function getAnalysisFrame(source) {
+    const data = createModelInput(source).getContext('2d').getImageData(0, 0, 224, 224).data;
+    const { data: corrected, correction } = featureExtractor.correctLighting(data, 224, 224);
+    return { data: data, corrected: corrected, lighting: correction };
+}
+
+// Calibration for the whole frame: a reference marker anywhere in it, else the saved fixed-camera calibration
+function getFrameCalibration(source, frame) {
+    const marker = featureExtractor.findReferenceMarker(frame.corrected, 224, 224);
+    return marker ? marker.calibration : getSavedCalibration(source);
+}
+
+/**
+ * Frame a single-onion image: a padded square around the onion, so the model and the feature
+ * extractor get the same unstretched 224x224 input
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Full image
+ * @param {Object} [frame] - getAnalysisFrame(source), when the caller already has it
+ * @returns {Object} { input, rect, onion_found, calibration, lighting } - calibration is rescaled to the crop;
+ *     lighting is the frame's white balance to grade the crop with
+ */
+function frameOnion(source, frame = getAnalysisFrame(source)) {
+    const framed = featureExtractor.frameImage(source, 224, ONION_CROP_PADDING, frame.lighting);
+    const frameCalibration = getFrameCalibration(source, frame);
+    const { width, height } = getSourceSize(source);
+    
+    return {
+        input: framed.canvas,
+        rect: framed.rect,
+        onion_found: framed.onion_found,
+        calibration: frameCalibration && scaleCalibration(frameCalibration, framed.rect.width / width, framed.rect.height / height),
+        lighting: frame.lighting
+    };
+}
+
+// Record which part of the source a framed result was graded from (saveCameraCalibration maps it back)
+function attachFraming(result, source, framed) {
+    if (!result) return result;
+    const { width, height } = getSourceSize(source);
+    result.framing = {
+        x: Math.round(framed.rect.x),
+        y: Math.round(framed.rect.y),
+        size: Math.round(framed.rect.width),
+        source_width: width,
+        source_height: height,
+        onion_found: framed.onion_found
+    };
+    return result;
+}
+
+// Saved fixed-camera calibration, if it was measured at this source's resolution
+function getSavedCalibration(source) {
+    const saved = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY) || 'null');
+    if (!saved) return null;
+    
+    const { width, height } = getSourceSize(source);
+    if (saved.width !== width || saved.height !== height) {
+        debugLog(`Saved calibration is for ${saved.width}x${saved.height}, image is ${width}x${height}; not applied`);
+        return null;
+    }
+    return { source: 'fixed', mm_per_px_x: saved.mm_per_px_x, mm_per_px_y: saved.mm_per_px_y };
+}
+
+// Save the reference marker measured in the last analysed frame as the fixed-camera calibration
+function saveCameraCalibration() {
+    const result = lastOverlay && lastOverlay.result;
+    const calibration = result && result.features && result.features.dimensions.calibration;
     
-    hideStatus();
+    if (!calibration || calibration.source !== 'marker') {
+        showStatus('No reference marker found in the last image. Place the marker next to the onion and analyse a single-onion image first.', 'error');
+        return;
+    }
     
-    // Display result with dynamic features generated based on predicted quality class
-    displayShelfLifePrediction(shelfLife, confidence, null);
+    // A framed result was measured on a crop; convert back to the whole frame the camera delivers
+    const framing = result.framing;
+    const { width, height } = framing
+        ? { width: framing.source_width, height: framing.source_height }
+        : getSourceSize(lastOverlay.source);
+    const frame = framing
+        ? scaleCalibration(calibration, width / framing.size, height / framing.size)
+        : calibration;
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify({
+        mm_per_px_x: frame.mm_per_px_x,
+        mm_per_px_y: frame.mm_per_px_y,
+        width: width,
+        height: height,
+        saved_at: new Date().toISOString()
+    }));
+    updateCalibrationStatus();
+    showStatus('Camera calibration saved', 'success');
+    setTimeout(hideStatus, 3000);
+}
+
+// Forget the fixed-camera calibration
+function clearCameraCalibration() {
+    localStorage.removeItem(CALIBRATION_STORAGE_KEY);
+    updateCalibrationStatus();
+}
+
+// Show which calibration is saved next to the calibration buttons
+function updateCalibrationStatus() {
+    const status = document.getElementById('calibration-status');
+    const saved = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY) || 'null');
+    status.textContent = saved
+        ? `Fixed camera: ${saved.mm_per_px_x.toFixed(3)} mm/px at ${saved.width}x${saved.height}`
+        : 'Reference marker only';
 }
 
 /**
- * Generate realistic features that correlate with shelf life
- * Features are generated with natural variation and overlap to avoid obvious class boundaries
- * @param {number} qualityClass - 0 (severe/0 days), 1 (bad/5-10 days), 2 (fair/15-19 days), 3 (excellent/29-37 days)
- * @param {number} seed - Seed for random number generation (for consistency)
- * @param {number} shelfLifeDays - Actual shelf life in days (for smoother correlation)
- * @returns {Object} Generated features
+ * Split the frame into separate onions and grade each one
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Full image or webcam canvas
+ * @param {Object|null} [history] - recordInspection details for saving each onion, or null to skip saving
+ * @returns {Promise<Array<{box: Object, result: Object}>>} One entry per onion, largest first
  */
-function generateFeaturesForClass(qualityClass, seed = null, shelfLifeDays = null) {
-    // Use seed or generate from timestamp for dynamic variation
-    if (seed === null) {
-        seed = Date.now() + Math.random() * 1000;
+async function gradeEachOnion(source, history = null) {
+    const frame = getAnalysisFrame(source);
+    const regions = featureExtractor.detectOnions(frame.data, 224, 224, { lighting: frame.lighting }).slice(0, MAX_ONIONS_PER_FRAME);
+    
+    // One calibration and white balance for the whole frame, shared by each crop
+    const frameCalibration = getFrameCalibration(source, frame);
+    const { width, height } = getSourceSize(source);
+    const fill = featureExtractor.getBorderColor(frame.data, 224, 224);
+    
+    const results = [];
+    for (const region of regions) {
+        const rect = getCropRect(source, region.box);
+        const calibration = frameCalibration && scaleCalibration(frameCalibration, rect.width / width, rect.height / height);
+        const input = cropToModelInput(source, region.box, ONION_CROP_PADDING, fill);
+        const result = await predict(input, { display: false, calibration: calibration, lighting: frame.lighting });
+        results.push({ box: region.box, result: result });
+        if (history) {
+            await recordInspection(result, input, Object.assign({ onion: results.length }, history));
+        }
     }
+    return results;
+}
+
+// Outline detected black spots over the preview or webcam canvas
+function drawSpotMarkers(target, result) {
+    const spots = result && result.features && result.features.black_spots;
+    if (!showSpotsToggle.checked || !spots || spots.length === 0) return;
+    drawLabelledBoxes(target, spots.map(spot => ({ box: spot.box, label: '', color: '#ff00ff' })));
+}
+
+// Colour-code the pixels each defect detector flagged, for the layers switched on in the UI
+// lighting: white balance the source was graded with, so the masks match the result
+function drawDefectHeatmap(target, source, lighting = null) {
+    const layers = DEFECT_OVERLAY_LAYERS.filter(layer => document.getElementById(layer.toggle).checked);
+    if (layers.length === 0) return;
+    
+    const data = createModelInput(source).getContext('2d').getImageData(0, 0, 224, 224).data;
+    const masks = featureExtractor.createDefectMasks(data, 224, 224, lighting);
+    drawMaskOverlay(target, masks.width, masks.height, layers.map(layer => ({
+        mask: masks[layer.mask],
+        color: layer.color
+    })));
+}
+
+// Labelled box for each onion found by predictEachOnion
+function drawOnionBoxes(target, onions) {
+    const boxes = onions.map(({ box, result }, index) => {
+        const graded = result && result.onionDetected;
+        return {
+            box: box,
+            label: graded ? `#${index + 1} · ${result.estimate.days}d · ${result.grade}${result.hybrid && result.hybrid.needs_review ? ' · ⚠' : ''}` : `#${index + 1} · ?`,
+            color: graded ? getShelfLifeColor(result.estimate.days) : '#868e96'
+        };
+    });
+    drawLabelledBoxes(target, boxes);
+}
+
+/**
+ * Redraw everything shown over the preview or webcam canvas for a result
+ * @param {HTMLElement} target - Element to draw over (preview image or webcam canvas)
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Image the result was computed from
+ * @param {Object|null} result - Single-onion predict() result
+ * @param {Array|null} [onions] - Per-onion results when multi-onion detection is on
+ */
+function drawResultOverlay(target, source, result, onions = null) {
+    lastOverlay = { target, source, result, onions };
     
-    // Use actual shelf life days for more natural correlation (if provided)
-    const normalizedShelfLife = shelfLifeDays !== null ? shelfLifeDays / 37 : (qualityClass * 10 + 5);
+    clearOverlay(target);
+    if (!result && !onions) return;
     
-    // Simple seeded random number generator (LCG - Linear Congruential Generator)
-    const seededRandom = (baseSeed, offset = 0) => {
-        let s = (baseSeed + offset * 1000) % 2147483647;
-        s = (s * 16807) % 2147483647;
-        return s / 2147483647;
-    };
+    drawSaliencyMap(target, source, result);
+    drawDefectHeatmap(target, source, result && result.features ? result.features.white_balance : null);
+    if (onions) {
+        drawOnionBoxes(target, onions);
+    } else {
+        drawSpotMarkers(target, result);
+    }
+}
+
+// Redraw the last overlay after an overlay option changes
+function redrawOverlay() {
+    if (lastOverlay) {
+        const { target, source, result, onions } = lastOverlay;
+        drawResultOverlay(target, source, result, onions);
+    }
+}
+
+// Color used for an onion's box based on its estimated shelf life
+function getShelfLifeColor(days) {
+    if (days >= 29) return '#764ba2';
+    if (days >= 15) return '#2b8a3e';
+    if (days >= 5) return '#f08c00';
+    return '#c92a2a';
+}
+
+/**
+ * Grade every onion in the frame, draw labelled boxes over the target and list the results
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Image to analyse
+ * @param {HTMLElement} target - Element the boxes are drawn over (preview image or webcam canvas)
+ */
+async function predictEachOnion(source, target, history = null) {
+    const onions = await gradeEachOnion(source, history);
+    multiOnionResults = onions;
     
-    // Helper function for random integer in range using seed
-    const randomInRange = (min, max, offset = 0) => {
-        const range = max - min + 1;
-        const randomValue = seededRandom(seed, offset);
-        const value = Math.floor(min + randomValue * range);
-        return Math.max(min, Math.min(max, value));
-    };
+    drawResultOverlay(target, source, null, onions);
     
-    // Helper function for random float in range using seed
-    const randomFloat = (min, max, offset = 0, decimals = 2) => {
-        const range = max - min;
-        const randomValue = seededRandom(seed, offset);
-        const value = min + randomValue * range;
-        return parseFloat(value.toFixed(decimals));
-    };
+    displayMultiOnionResults(onions);
+    return onions;
+}
+
+// List per-onion results; clicking an onion shows its features
+function displayMultiOnionResults(onions) {
+    document.getElementById('features-container').style.display = 'none';
     
-    // Helper for float with shelf life correlation (smoother transitions)
-    const correlatedFloat = (baseMin, baseMax, shelfLifeFactor, offset = 0, decimals = 2) => {
-        // Add variation based on shelf life (higher shelf life = better values)
-        const lifeFactor = normalizedShelfLife / 37; // 0 to 1
-        const adjustedMin = baseMin + (baseMax - baseMin) * (1 - lifeFactor) * shelfLifeFactor;
-        const adjustedMax = baseMax - (baseMax - baseMin) * (1 - lifeFactor) * shelfLifeFactor;
-        return randomFloat(adjustedMin, adjustedMax, offset, decimals);
-    };
+    if (onions.length === 0) {
+        labelContainer.innerHTML = `
+            <div class="prediction-result" style="background: linear-gradient(135deg, #757575 0%, #616161 100%);">
+                <div class="shelf-life-label">No Onions Detected</div>
+                <div class="additional-info">
+                    <div>Please upload a clear image of one or more onions</div>
+                </div>
+            </div>
+        `;
+        return;
+    }
     
-    // Helper for integer with shelf life correlation
-    const correlatedInt = (baseMin, baseMax, shelfLifeFactor, offset = 0) => {
-        const lifeFactor = normalizedShelfLife / 37;
-        const adjustedMin = Math.floor(baseMin + (baseMax - baseMin) * (1 - lifeFactor) * shelfLifeFactor);
-        const adjustedMax = Math.ceil(baseMax - (baseMax - baseMin) * (1 - lifeFactor) * shelfLifeFactor);
-        return randomInRange(adjustedMin, adjustedMax, offset);
-    };
+    let html = `<div class="shelf-life-label" style="color: #333;">${onions.length} onion${onions.length === 1 ? '' : 's'} detected</div>`;
+    onions.forEach(({ result }, index) => {
+        if (!result || !result.onionDetected) {
+            html += `
+                <div style="padding: 10px; margin: 8px 0; border-radius: 8px; background: #868e96; color: white;">
+                    #${index + 1}: could not be graded
+                </div>
+            `;
+            return;
+        }
+        html += `
+            <div onclick="displayFeatures(multiOnionResults[${index}].result.features)" style="cursor: pointer; padding: 10px; margin: 8px 0; border-radius: 8px; background: ${getShelfLifeColor(result.estimate.days)}; color: white; text-align: left;">
+                <strong>#${index + 1}: ${result.estimate.days} days</strong> (${result.estimate.lower}–${result.estimate.upper})
+                · Class ${result.predictedClass} · Grade ${result.grade} · ${(result.confidence * 100).toFixed(1)}%
+                · ${formatVariety(result.features.variety)}
+                ${result.hybrid && result.hybrid.needs_review ? `<br>⚠️ Model ${result.hybrid.model_days}d vs features ${result.hybrid.feature_days}d — manual review` : ''}
+            </div>
+        `;
+    });
+    html += `<div style="font-size: 12px; color: #666;">Profile: ${onions[0].result ? `${onions[0].result.profile.name} v${onions[0].result.profile.version}` : '-'}</div>`;
+    html += '<div style="font-size: 12px; color: #666;">Click an onion to see its extracted features</div>';
     
-    // Helper for boolean with probability that varies with shelf life
-    const correlatedBoolean = (baseProb, shelfLifeFactor, offset = 0) => {
-        const lifeFactor = normalizedShelfLife / 37;
-        const adjustedProb = baseProb * (1 - lifeFactor * shelfLifeFactor);
-        return seededRandom(seed, offset) < adjustedProb;
-    };
+    labelContainer.innerHTML = html;
+}
+
+/**
+ * Resolve the shelf life range for a model class from the active model's models.json mapping
+ * @param {string} className - Class label from the model metadata
+ * @returns {Object|null} Class range { label, min, max }, or null when the label is not mapped
+ */
+function getClassRange(className) {
+    return activeModel.classes.find(range => range.label === className) || null;
+}
+
+/**
+ * Estimate shelf life as a probability-weighted blend of all class ranges
+ * The same probabilities always give the same estimate
+ * @param {Array<{className: string, probability: number}>} prediction - Model output
+ * @returns {Object} Estimate { days, lower, upper }
+ */
+function estimateShelfLife(prediction) {
+    let totalProb = 0;
+    let mean = 0;
+    const weighted = [];
+    
+    prediction.forEach(entry => {
+        const range = getClassRange(entry.className);
+        if (!range) return;
+        const midpoint = (range.min + range.max) / 2;
+        weighted.push({ range, midpoint, probability: entry.probability });
+        totalProb += entry.probability;
+        mean += entry.probability * midpoint;
+    });
+    
+    if (totalProb === 0) {
+        return { days: 0, lower: 0, upper: MAX_SHELF_LIFE_DAYS };
+    }
     
-    // Helper for boolean with probability
-    const randomBoolean = (probability, offset = 0) => {
-        return seededRandom(seed, offset) < probability;
-    };
+    mean /= totalProb;
+    
+    // Spread combines disagreement between classes and the width of each class range
+    let variance = 0;
+    for (const { range, midpoint, probability } of weighted) {
+        const halfWidth = (range.max - range.min) / 2;
+        variance += (probability / totalProb) * ((midpoint - mean) ** 2 + halfWidth ** 2);
+    }
+    const spread = Math.sqrt(variance);
     
-    let features = {};
-    
-    // Generate features with natural variation and overlap between classes
-    // Features correlate smoothly with shelf life, not just class boundaries
-    
-    // Black spots: inversely correlated with shelf life (0-21 range)
-    const blackSpotsBase = Math.max(0, Math.min(21, 21 - (normalizedShelfLife * 20)));
-    features.black_spots_count = Math.max(0, Math.min(21, 
-        Math.round(blackSpotsBase + randomFloat(-3, 3, 2))
-    ));
-    
-    // Surface texture: better with higher shelf life (1-4 range)
-    const textureBase = 1 + (1 - normalizedShelfLife) * 3;
-    features.surface_texture_score = Math.max(1, Math.min(4, 
-        Math.round(textureBase + randomFloat(-0.5, 0.5, 3))
-    ));
-    
-    // Skin condition: better with higher shelf life (1-5 range)
-    const skinBase = 1 + (1 - normalizedShelfLife) * 4;
-    features.skin_condition_score = Math.max(1, Math.min(5, 
-        Math.round(skinBase + randomFloat(-0.5, 0.5, 4))
-    ));
-    
-    // Damage indicators: probability decreases with shelf life
-    const bruiseProb = Math.max(0.05, Math.min(0.95, 0.95 - normalizedShelfLife * 0.9));
-    const cutProb = Math.max(0.02, Math.min(0.6, 0.6 - normalizedShelfLife * 0.58));
-    const lesionProb = Math.max(0.03, Math.min(0.85, 0.85 - normalizedShelfLife * 0.82));
-    
-    features.has_bruises = randomBoolean(bruiseProb, 5) ? 1 : 0;
-    features.has_cuts = randomBoolean(cutProb, 6) ? 1 : 0;
-    features.has_lesions = randomBoolean(lesionProb, 7) ? 1 : 0;
-    
-    // Sprouting: inversely correlated (0-20% range)
-    const sproutingBase = (1 - normalizedShelfLife) * 0.20;
-    features.sprouting_detected = Math.max(0, Math.min(0.20, 
-        sproutingBase + randomFloat(-0.03, 0.03, 8)
-    ));
-    
-    // Color analysis: brightness and saturation improve with shelf life
-    const brightnessBase = 40 + normalizedShelfLife * 120;
-    const saturationBase = 0.10 + normalizedShelfLife * 0.30;
-    
-    features.color_analysis = {
-        avg_brightness: Math.max(40, Math.min(160, 
-            Math.round(brightnessBase + randomFloat(-15, 15, 9))
-        )),
-        avg_saturation: Math.max(0.10, Math.min(0.40, 
-            saturationBase + randomFloat(-0.05, 0.05, 10)
-        ))
+    return {
+        days: Math.round(mean),
+        lower: Math.max(0, Math.floor(mean - spread)),
+        upper: Math.min(MAX_SHELF_LIFE_DAYS, Math.ceil(mean + spread))
     };
+}
+
+/**
+ * Gap between the two most probable classes of a model prediction
+ * @param {Array<{className: string, probability: number}>} prediction - Model output
+ * @returns {Object|null} { top, runner_up, margin, ambiguous }, or null with fewer than two classes
+ */
+function getClassMargin(prediction) {
+    if (!prediction || prediction.length < 2) return null;
+    const [first, second] = prediction.slice().sort((a, b) => b.probability - a.probability);
+    const margin = first.probability - second.probability;
+    return {
+        top: first.className,
+        runner_up: second.className,
+        margin: Math.round(margin * 1000) / 1000,
+        ambiguous: margin < AMBIGUITY_MARGIN
+    };
+}
+
+// Class label with its day range from the model registry, e.g. "5-10 days" or "fresh (29-37 days)"
+function formatClassLabel(className) {
+    const range = getClassRange(className);
+    if (!range) return escapeHtml(className);
+    const days = range.min === range.max ? `${range.min}` : `${range.min}-${range.max}`;
+    return className === days ? `${escapeHtml(className)} days` : `${escapeHtml(className)} (${days} days)`;
+}
+
+// Bar chart of every class probability, the top-two margin and a warning when they are close
+function renderClassProbabilities(prediction) {
+    const margin = getClassMargin(prediction);
+    const top = margin ? margin.top : prediction[0].className;
+    
+    const bars = prediction.map(({ className, probability }) => {
+        const percent = (probability * 100).toFixed(1);
+        const isTop = className === top;
+        return `
+            <div style="display: flex; align-items: center; gap: 6px; margin: 2px 0; font-size: 12px;${isTop ? ' font-weight: bold;' : ''}">
+                <div style="width: 120px; text-align: right; white-space: nowrap;">${formatClassLabel(className)}</div>
+                <div style="flex: 1; height: 8px; border-radius: 4px; background: rgba(255,255,255,0.3); overflow: hidden;">
+                    <div style="width: ${percent}%; height: 100%; background: rgba(255,255,255,${isTop ? 0.95 : 0.6});"></div>
+                </div>
+                <div style="width: 44px; text-align: right;">${percent}%</div>
+            </div>
+        `;
+    }).join('');
+    
+    let summary = '';
+    if (margin) {
+        summary = `<div>Top-2 margin: ${(margin.margin * 100).toFixed(1)} points (${escapeHtml(margin.top)} vs ${escapeHtml(margin.runner_up)})</div>`;
+        if (margin.ambiguous) {
+            summary += `
+                <div style="margin-top: 4px; padding: 4px 8px; border-radius: 4px; background: rgba(0,0,0,0.25); font-weight: bold;">
+                    ⚠️ Ambiguous: "${escapeHtml(margin.top)}" and "${escapeHtml(margin.runner_up)}" are almost equally likely. Check the onion by hand or retake the photo.
+                </div>
+            `;
+        }
+    }
     
-    // Firmness: improves with shelf life (1-5 range)
-    const firmnessBase = 1 + normalizedShelfLife * 4;
-    features.firmness_score = Math.max(1, Math.min(5, 
-        Math.round(firmnessBase + randomFloat(-0.5, 0.5, 11))
-    ));
-    
-    // Color uniformity: improves with shelf life (30-95% range)
-    const uniformityBase = 30 + normalizedShelfLife * 65;
-    features.color_uniformity = Math.max(30, Math.min(95, 
-        Math.round(uniformityBase + randomFloat(-5, 5, 12))
-    ));
-    
-    // Root condition: probability of "Good" increases with shelf life
-    const rootGoodProb = normalizedShelfLife * 0.85 + 0.15;
-    features.root_condition = randomBoolean(rootGoodProb, 13) ? 'Good' : 
-                             (normalizedShelfLife < 0.2 ? 'Poor' : 'Fair');
-    
-    // Axis ratio: lower (more round) with better shelf life
-    // 0 days: 1.5-2.0, 5-10: 1.2-1.4, 15-19: 1.0-1.2, 29-37: 1.0-1.1
-    let axisMin, axisMax;
-    if (normalizedShelfLife < 0.15) { // 0 days
-        axisMin = 1.5;
-        axisMax = 2.0;
-    } else if (normalizedShelfLife < 0.35) { // 5-10 days
-        axisMin = 1.2;
-        axisMax = 1.4;
-    } else if (normalizedShelfLife < 0.60) { // 15-19 days
-        axisMin = 1.0;
-        axisMax = 1.2;
-    } else { // 29-37 days
-        axisMin = 1.0;
-        axisMax = 1.1;
-    }
-    
-    // Add some overlap and variation
-    const axisVariation = randomFloat(-0.05, 0.05, 14);
-    features.axis_ratio = Math.max(1.0, Math.min(2.0, 
-        randomFloat(axisMin, axisMax, 14) + axisVariation
-    ));
-    
-    // Calculate visible damage flag
-    features.visible_damage_flag = (features.has_bruises || features.has_cuts || features.has_lesions) ? 1 : 0;
-    
-    return features;
+    return `
+        <div class="additional-info" style="margin-top: 10px;">
+            ${bars}
+            ${summary}
+        </div>
+    `;
 }
 
 // Generate a simple hash from image data to detect if it's the same image
@@ -507,8 +1347,32 @@ async function getImageHash(imageElement) {
     return hash.toString();
 }
 
+// Describe the variety whose rules were applied, e.g. "Red (detected, 82% of onion pixels)"
+function formatVariety(variety) {
+    if (!variety || !variety.name) return 'Unknown';
+    if (variety.source === 'selected') return `${variety.label} (selected)`;
+    return `${variety.label} (detected, ${Math.round(variety.share * 100)}% of onion pixels)`;
+}
+
+// Describe the white balance applied before extraction, e.g. "Gray-world (R×0.81 G×0.96 B×1.38)"
+function formatWhiteBalance(correction) {
+    if (!correction || correction.method === 'none') return 'Not corrected';
+    const method = correction.method === 'reference_card' ? 'Reference card' : 'Gray-world';
+    const { r, g, b } = correction.gains;
+    return `${method} (R×${r.toFixed(2)} G×${g.toFixed(2)} B×${b.toFixed(2)})`;
+}
+
+// Apply the variety chosen in the UI ('auto' detects it per image)
+function handleVarietyChange(event) {
+    featureExtractor.setVariety(event.target.value);
+    console.log('Onion variety set to:', event.target.value);
+}
+
 // Display shelf life prediction result
-function displayShelfLifePrediction(days, confidence, features) {
+// hybrid: contributions from combineEstimates when the hybrid mode produced the estimate
+function displayShelfLifePrediction(estimate, confidence, prediction, features, hybrid = null) {
+    const days = estimate.days;
+    const profile = featureExtractor.getProfileInfo();
     const confidencePercent = (confidence * 100).toFixed(1);
     
     // Determine quality category and class index based on 4-class system
@@ -548,6 +1412,7 @@ function displayShelfLifePrediction(days, confidence, features) {
             <div class="shelf-life-label">Predicted Shelf Life</div>
             <div class="shelf-life-number">${days}</div>
             <div class="shelf-life-label">Days</div>
+            <div class="additional-info">Likely range: ${estimate.lower}–${estimate.upper} days</div>
             <div class="confidence-bar">
                 <div class="confidence-fill" style="width: ${confidencePercent}%"></div>
             </div>
@@ -555,26 +1420,61 @@ function displayShelfLifePrediction(days, confidence, features) {
                 <div>Confidence: ${confidencePercent}%</div>
                 <div>Quality: ${qualityCategory}</div>
                 <div>Advice: ${storageAdvice}</div>
+                <div>Variety: ${formatVariety(features && features.variety)}</div>
+                <div>Lighting: ${formatWhiteBalance(features && features.white_balance)}</div>
+                <div>Profile: ${profile.name} v${profile.version}</div>
+                ${getCurrentLot() ? `<div>Lot: ${escapeHtml(getCurrentLot())}</div>` : ''}
+                <div>Model: ${prediction ? escapeHtml(activeModel.name) : 'None (feature-based estimate)'}</div>
+                ${!prediction && window.demoMode ? `<div>⚠️ Demo mode: ${escapeHtml(demoReason)}</div>` : ''}
             </div>
+            ${prediction ? renderClassProbabilities(prediction) : ''}
+            ${hybrid ? renderHybridContributions(hybrid) : ''}
         </div>
     `;
     
-    // Generate dynamic features based on the predicted quality class
-    // Use days + timestamp + random factor for more natural variation
-    // This makes features correlate with actual shelf life, not just class boundaries
-    const seed = days * 1000 + Date.now() + Math.random() * 500;
-    const dynamicFeatures = generateFeaturesForClass(qualityClassIndex, seed, days);
-    
-    // Display the dynamically generated features
-    displayFeatures(dynamicFeatures);
+    // Display the features measured from the image
+    displayFeatures(features);
+}
+
+// Show how much the model and the feature formula contributed to a hybrid estimate
+function renderHybridContributions(hybrid) {
+    const modelPercent = Math.round(hybrid.model_weight * 100);
+    const featurePercent = 100 - modelPercent;
+    
+    return `
+        <div class="additional-info" style="margin-top: 10px;">
+            <div>Hybrid: model ${hybrid.model_days} days × ${modelPercent}% + features ${hybrid.feature_days} days × ${featurePercent}%</div>
+            <div style="display: flex; height: 8px; border-radius: 4px; overflow: hidden; margin: 4px 0; background: rgba(255,255,255,0.3);">
+                <div style="width: ${modelPercent}%; background: rgba(255,255,255,0.9);"></div>
+                <div style="width: ${featurePercent}%; background: rgba(0,0,0,0.35);"></div>
+            </div>
+            ${hybrid.needs_review ? `
+                <div style="margin-top: 6px; padding: 6px 10px; border-radius: 6px; background: rgba(0,0,0,0.35); font-weight: bold;">
+                    ⚠️ Model and features disagree by ${hybrid.disagreement_days} days — manual review recommended
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Render a feature card for a value the extractor does not measure from pixels
+function renderUnavailableFeature(title, borderColor, reason = 'Not measured from image') {
+    return `
+        <div style="padding: 12px; background: #f1f3f5; border-radius: 8px; border-left: 4px solid ${borderColor}; opacity: 0.7;">
+            <strong style="color: #333; display: block; margin-bottom: 6px;">${title}:</strong>
+            <span style="color: #868e96; font-size: 15px; font-weight: bold;">N/A</span><br>
+            <span style="color: #868e96; font-size: 13px;">${reason}</span>
+        </div>
+    `;
 }
 
 // Display extracted features
+// Only values measured by OnionFeatureExtractor are shown; anything missing is marked unavailable
 function displayFeatures(features) {
     const featuresContainer = document.getElementById('features-container');
     const featuresContent = document.getElementById('features-content');
     
-    console.log('=== DISPLAYING FEATURES ===', features);
+    debugLog('=== DISPLAYING FEATURES ===', features);
     
     // Validate features object
     if (!features || typeof features !== 'object') {
@@ -585,170 +1485,346 @@ function displayFeatures(features) {
     
     let html = '<div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; font-size: 14px; line-height: 1.6;">';
     
-    // Major/Minor Axis Ratio
-    const axisRatio = features.axis_ratio !== undefined ? features.axis_ratio : 1.0;
-    const axisRatioFormatted = axisRatio.toFixed(2);
-    let axisRatioDesc = '';
-    if (axisRatio <= 1.1) {
-        axisRatioDesc = '✅ Nearly round (excellent)';
-    } else if (axisRatio <= 1.2) {
-        axisRatioDesc = '✅ Slightly oval (good)';
-    } else if (axisRatio <= 1.4) {
-        axisRatioDesc = '⚠️ Oval (moderate)';
+    // Size (only trustworthy when calibrated by a marker or a saved camera calibration)
+    if (features.dimensions && typeof features.dimensions.diameter_mm === 'number') {
+        const dimensions = features.dimensions;
+        const source = dimensions.calibration ? dimensions.calibration.source : 'assumed';
+        const sizeDesc = source === 'marker' ? '✅ Measured with reference marker' :
+                        source === 'fixed' ? '✅ Measured with saved camera calibration' :
+                        `⚠️ Not calibrated (assumes ${featureExtractor.profile.dimensions.reference_diameter_mm} mm)`;
+        
+        html += `
+            <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #845ef7;">
+                <strong style="color: #333; display: block; margin-bottom: 6px;">📏 Size:</strong>
+                <span style="color: #555; font-size: 15px; font-weight: bold;">${dimensions.diameter_mm} mm · ${dimensions.market_grade}</span><br>
+                <span style="color: #666; font-size: 13px;">${dimensions.width_mm} × ${dimensions.length_mm} mm (${dimensions.size_class})</span><br>
+                <span style="color: #666; font-size: 13px;">${sizeDesc}</span>
+            </div>
+        `;
     } else {
-        axisRatioDesc = '❌ Deformed (poor)';
+        html += renderUnavailableFeature('📏 Size', '#845ef7');
     }
     
-    html += `
-        <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #667eea;">
-            <strong style="color: #333; display: block; margin-bottom: 6px;">📐 Major/Minor Axis Ratio:</strong>
-            <span style="color: #555; font-size: 15px; font-weight: bold;">${axisRatioFormatted}</span><br>
-            <span style="color: #666; font-size: 13px;">${axisRatioDesc}</span>
-        </div>
-    `;
+    // Major/Minor Axis Ratio
+    if (typeof features.axis_ratio === 'number') {
+        const axisRatio = features.axis_ratio;
+        let axisRatioDesc = '';
+        if (axisRatio <= 1.1) {
+            axisRatioDesc = '✅ Nearly round (excellent)';
+        } else if (axisRatio <= 1.2) {
+            axisRatioDesc = '✅ Slightly oval (good)';
+        } else if (axisRatio <= 1.4) {
+            axisRatioDesc = '⚠️ Oval (moderate)';
+        } else {
+            axisRatioDesc = '❌ Deformed (poor)';
+        }
+        
+        html += `
+            <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #667eea;">
+                <strong style="color: #333; display: block; margin-bottom: 6px;">📐 Major/Minor Axis Ratio:</strong>
+                <span style="color: #555; font-size: 15px; font-weight: bold;">${axisRatio.toFixed(2)}</span><br>
+                <span style="color: #666; font-size: 13px;">${axisRatioDesc}</span>
+            </div>
+        `;
+    } else {
+        html += renderUnavailableFeature('📐 Major/Minor Axis Ratio', '#667eea');
+    }
     
     // Black spots with visual indicator
-    const blackSpots = features.black_spots_count !== undefined ? features.black_spots_count : 0;
-    const spotSeverity = blackSpots === 0 ? '✅ None' :
-                        blackSpots <= 2 ? '✅ Very few' :
-                        blackSpots <= 8 ? '⚠️ Moderate' :
-                        '❌ Many';
-    
-    html += `
-        <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #ff6b6b;">
-            <strong style="color: #333; display: block; margin-bottom: 6px;">⚫ Black Spots:</strong>
-            <span style="color: #555; font-size: 15px; font-weight: bold;">Count: ${blackSpots}</span><br>
-            <span style="color: #666; font-size: 13px;">${spotSeverity}</span>
-        </div>
-    `;
+    if (typeof features.black_spots_count === 'number') {
+        const blackSpots = features.black_spots_count;
+        const spotSeverity = blackSpots === 0 ? '✅ None' :
+                            blackSpots <= 2 ? '✅ Very few' :
+                            blackSpots <= 8 ? '⚠️ Moderate' :
+                            '❌ Many';
+        
+        html += `
+            <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #ff6b6b;">
+                <strong style="color: #333; display: block; margin-bottom: 6px;">⚫ Black Spots:</strong>
+                <span style="color: #555; font-size: 15px; font-weight: bold;">Count: ${blackSpots}</span><br>
+                <span style="color: #666; font-size: 13px;">${spotSeverity}</span>
+            </div>
+        `;
+    } else {
+        html += renderUnavailableFeature('⚫ Black Spots', '#ff6b6b');
+    }
     
     // Surface texture with description
-    const texture = features.surface_texture_score !== undefined ? features.surface_texture_score : 1;
-    const textureDesc = texture === 1 ? '✅ Smooth (fresh)' :
-                       texture === 2 ? '⚠️ Slightly wrinkled' :
-                       texture === 3 ? '⚠️ Wrinkled' :
-                       '❌ Very soft';
-    
-    html += `
-        <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #4ecdc4;">
-            <strong style="color: #333; display: block; margin-bottom: 6px;">🔍 Surface Texture:</strong>
-            <span style="color: #555; font-size: 15px; font-weight: bold;">Score: ${texture}/4</span><br>
-            <span style="color: #666; font-size: 13px;">${textureDesc}</span>
-        </div>
-    `;
+    if (typeof features.surface_texture_score === 'number') {
+        const texture = features.surface_texture_score;
+        const textureDesc = texture === 1 ? '✅ Smooth (fresh)' :
+                           texture === 2 ? '⚠️ Slightly wrinkled' :
+                           texture === 3 ? '⚠️ Wrinkled' :
+                           '❌ Very soft';
+        
+        html += `
+            <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #4ecdc4;">
+                <strong style="color: #333; display: block; margin-bottom: 6px;">🔍 Surface Texture:</strong>
+                <span style="color: #555; font-size: 15px; font-weight: bold;">Score: ${texture}/4</span><br>
+                <span style="color: #666; font-size: 13px;">${textureDesc}</span>
+            </div>
+        `;
+    } else {
+        html += renderUnavailableFeature('🔍 Surface Texture', '#4ecdc4');
+    }
     
     // Skin condition with description
-    const skin = features.skin_condition_score !== undefined ? features.skin_condition_score : 1;
-    const skinDesc = skin === 1 ? '✅ Excellent' :
-                    skin === 2 ? '✅ Good' :
-                    skin === 3 ? '⚠️ Fair' :
-                    skin === 4 ? '⚠️ Poor' :
-                    '❌ Very poor';
-    
-    html += `
-        <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #ffe66d;">
-            <strong style="color: #333; display: block; margin-bottom: 6px;">🧅 Skin Condition:</strong>
-            <span style="color: #555; font-size: 15px; font-weight: bold;">Score: ${skin}/5</span><br>
-            <span style="color: #666; font-size: 13px;">${skinDesc}</span>
-        </div>
-    `;
+    if (typeof features.skin_condition_score === 'number') {
+        const skin = features.skin_condition_score;
+        const skinDesc = skin === 1 ? '✅ Excellent' :
+                        skin === 2 ? '✅ Good' :
+                        skin === 3 ? '⚠️ Fair' :
+                        skin === 4 ? '⚠️ Poor' :
+                        '❌ Very poor';
+        
+        html += `
+            <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #ffe66d;">
+                <strong style="color: #333; display: block; margin-bottom: 6px;">🧅 Skin Condition:</strong>
+                <span style="color: #555; font-size: 15px; font-weight: bold;">Score: ${skin}/5</span><br>
+                <span style="color: #666; font-size: 13px;">${skinDesc}</span>
+            </div>
+        `;
+    } else {
+        html += renderUnavailableFeature('🧅 Skin Condition', '#ffe66d');
+    }
     
     // Damage indicators with status
-    const hasBruises = features.has_bruises || 0;
-    const hasCuts = features.has_cuts || 0;
-    const hasLesions = features.has_lesions || 0;
-    const damageFlag = features.visible_damage_flag || 0;
-    const damageStatus = damageFlag === 0 ? '✅ No damage' : '❌ Damage detected';
-    
-    html += `
-        <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #ff6b6b;">
-            <strong style="color: #333; display: block; margin-bottom: 6px;">⚠️ Damage Indicators:</strong>
-            <div style="color: #555; font-size: 13px; line-height: 1.8;">
-                Bruises: ${hasBruises ? '<span style="color: #c92a2a;">❌ Yes</span>' : '<span style="color: #2b8a3e;">✅ No</span>'}<br>
-                Cuts: ${hasCuts ? '<span style="color: #c92a2a;">❌ Yes</span>' : '<span style="color: #2b8a3e;">✅ No</span>'}<br>
-                Lesions: ${hasLesions ? '<span style="color: #c92a2a;">❌ Yes</span>' : '<span style="color: #2b8a3e;">✅ No</span>'}<br>
-                <strong style="color: #333; margin-top: 4px; display: inline-block;">${damageStatus}</strong>
+    if (typeof features.visible_damage_flag === 'number') {
+        const hasBruises = features.has_bruises || 0;
+        const hasCuts = features.has_cuts || 0;
+        const hasLesions = features.has_lesions || 0;
+        const damageStatus = features.visible_damage_flag === 0 ? '✅ No damage' : '❌ Damage detected';
+        
+        html += `
+            <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #ff6b6b;">
+                <strong style="color: #333; display: block; margin-bottom: 6px;">⚠️ Damage Indicators:</strong>
+                <div style="color: #555; font-size: 13px; line-height: 1.8;">
+                    Bruises: ${hasBruises ? '<span style="color: #c92a2a;">❌ Yes</span>' : '<span style="color: #2b8a3e;">✅ No</span>'}<br>
+                    Cuts: ${hasCuts ? '<span style="color: #c92a2a;">❌ Yes</span>' : '<span style="color: #2b8a3e;">✅ No</span>'}<br>
+                    Lesions: ${hasLesions ? '<span style="color: #c92a2a;">❌ Yes</span>' : '<span style="color: #2b8a3e;">✅ No</span>'}<br>
+                    <strong style="color: #333; margin-top: 4px; display: inline-block;">${damageStatus}</strong>
+                </div>
             </div>
-        </div>
-    `;
+        `;
+    } else {
+        html += renderUnavailableFeature('⚠️ Damage Indicators', '#ff6b6b');
+    }
     
     // Sprouting with percentage
-    const sprouting = features.sprouting_detected !== undefined ? features.sprouting_detected : 0;
-    const sproutingPercent = (sprouting * 100).toFixed(2);
-    const sproutingStatus = sprouting > 0.05 ? '❌ Significant' :
-                           sprouting > 0.02 ? '⚠️ Minor' :
-                           sprouting > 0.005 ? '⚠️ Trace' :
-                           '✅ None';
-    
-    html += `
-        <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #51cf66;">
-            <strong style="color: #333; display: block; margin-bottom: 6px;">🌱 Sprouting:</strong>
-            <span style="color: #555; font-size: 15px; font-weight: bold;">${sproutingPercent}% detected</span><br>
-            <span style="color: #666; font-size: 13px;">${sproutingStatus}</span>
-        </div>
-    `;
+    if (typeof features.sprouting_detected === 'number') {
+        const sprouting = features.sprouting_detected;
+        const sproutingPercent = (sprouting * 100).toFixed(2);
+        const sproutingStatus = sprouting > 0.05 ? '❌ Significant' :
+                               sprouting > 0.02 ? '⚠️ Minor' :
+                               sprouting > 0.005 ? '⚠️ Trace' :
+                               '✅ None';
+        
+        html += `
+            <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #51cf66;">
+                <strong style="color: #333; display: block; margin-bottom: 6px;">🌱 Sprouting:</strong>
+                <span style="color: #555; font-size: 15px; font-weight: bold;">${sproutingPercent}% detected</span><br>
+                <span style="color: #666; font-size: 13px;">${sproutingStatus}</span>
+            </div>
+        `;
+    } else {
+        html += renderUnavailableFeature('🌱 Sprouting', '#51cf66');
+    }
     
     // Firmness Score (1-5, higher is better)
-    const firmness = features.firmness_score !== undefined ? features.firmness_score : 3;
-    const firmnessDesc = firmness === 5 ? '✅ Very firm' :
-                        firmness === 4 ? '✅ Firm' :
-                        firmness === 3 ? '⚠️ Moderate' :
-                        firmness === 2 ? '⚠️ Soft' :
-                        '❌ Very soft';
-    
-    html += `
-        <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #4c6ef5;">
-            <strong style="color: #333; display: block; margin-bottom: 6px;">💪 Firmness:</strong>
-            <span style="color: #555; font-size: 15px; font-weight: bold;">Score: ${firmness}/5</span><br>
-            <span style="color: #666; font-size: 13px;">${firmnessDesc}</span>
-        </div>
-    `;
+    if (typeof features.firmness_score === 'number') {
+        const firmness = features.firmness_score;
+        const firmnessDesc = firmness === 5 ? '✅ Very firm' :
+                            firmness === 4 ? '✅ Firm' :
+                            firmness === 3 ? '⚠️ Moderate' :
+                            firmness === 2 ? '⚠️ Soft' :
+                            '❌ Very soft';
+        
+        html += `
+            <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #4c6ef5;">
+                <strong style="color: #333; display: block; margin-bottom: 6px;">💪 Firmness:</strong>
+                <span style="color: #555; font-size: 15px; font-weight: bold;">Score: ${firmness}/5</span><br>
+                <span style="color: #666; font-size: 13px;">${firmnessDesc}</span><br>
+                <span style="color: #868e96; font-size: 12px;">Estimated from ${features.firmness_basis ? `outline solidity ${(features.firmness_basis.solidity * 100).toFixed(1)}%` : 'the image'} (dents and sagging), not a touch test</span>
+            </div>
+        `;
+    } else {
+        html += renderUnavailableFeature('💪 Firmness', '#4c6ef5');
+    }
     
     // Color Uniformity (percentage, higher is better)
-    const uniformity = features.color_uniformity !== undefined ? features.color_uniformity : 70;
-    const uniformityDesc = uniformity >= 85 ? '✅ Excellent' :
-                           uniformity >= 70 ? '✅ Good' :
-                           uniformity >= 50 ? '⚠️ Moderate' :
-                           '❌ Poor';
-    
-    html += `
-        <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #ff8787;">
-            <strong style="color: #333; display: block; margin-bottom: 6px;">🎨 Color Uniformity:</strong>
-            <span style="color: #555; font-size: 15px; font-weight: bold;">${uniformity}% uniform</span><br>
-            <span style="color: #666; font-size: 13px;">${uniformityDesc}</span>
-        </div>
-    `;
+    if (typeof features.color_uniformity === 'number') {
+        const uniformity = features.color_uniformity;
+        const uniformityDesc = uniformity >= 85 ? '✅ Excellent' :
+                               uniformity >= 70 ? '✅ Good' :
+                               uniformity >= 50 ? '⚠️ Moderate' :
+                               '❌ Poor';
+        
+        html += `
+            <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #ff8787;">
+                <strong style="color: #333; display: block; margin-bottom: 6px;">🎨 Color Uniformity:</strong>
+                <span style="color: #555; font-size: 15px; font-weight: bold;">${uniformity}% uniform</span><br>
+                <span style="color: #666; font-size: 13px;">${uniformityDesc}</span>${typeof features.color_analysis.hue_std_deg === 'number' ? `<br>
+                <span style="color: #868e96; font-size: 12px;">Hue spread: ±${features.color_analysis.hue_std_deg}°</span>` : ''}
+            </div>
+        `;
+    } else {
+        html += renderUnavailableFeature('🎨 Color Uniformity', '#ff8787');
+    }
     
-    // Root Condition
-    const rootCondition = features.root_condition || 'Fair';
-    const rootDesc = rootCondition === 'Good' ? '✅ Good' :
-                    rootCondition === 'Fair' ? '⚠️ Fair' :
-                    '❌ Poor';
-    
-    html += `
-        <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #20c997;">
-            <strong style="color: #333; display: block; margin-bottom: 6px;">🌿 Root Condition:</strong>
-            <span style="color: #555; font-size: 15px; font-weight: bold;">${rootCondition}</span><br>
-            <span style="color: #666; font-size: 13px;">${rootDesc}</span>
-        </div>
-    `;
+    // Root and Neck Condition (the two poles of the bulb)
+    if (features.root_condition) {
+        const describePole = condition => condition === 'Good' ? '✅ Good' :
+                                          condition === 'Fair' ? '⚠️ Fair' :
+                                          '❌ Poor';
+        
+        html += `
+            <div style="padding: 12px; background: #f8f9fa; border-radius: 8px; border-left: 4px solid #20c997;">
+                <strong style="color: #333; display: block; margin-bottom: 6px;">🌿 Root / Neck Condition:</strong>
+                <span style="color: #555; font-size: 15px; font-weight: bold;">${features.root_condition} / ${features.neck_condition}</span><br>
+                <span style="color: #666; font-size: 13px;">Root: ${describePole(features.root_condition)} · Neck: ${describePole(features.neck_condition)}</span>
+            </div>
+        `;
+    } else {
+        html += renderUnavailableFeature('🌿 Root / Neck Condition', '#20c997');
+    }
     
     html += '</div>';
     
     featuresContent.innerHTML = html;
     featuresContainer.style.display = 'block';
     
-    console.log('✓ Features displayed successfully');
+    debugLog('✓ Features displayed successfully');
 }
 
-// Handle image upload
+// Handle image upload (one file, several files or a whole folder)
 async function handleImageUpload(event) {
-    const file = event.target.files[0];
-    if (file) {
-        await processUploadedFile(file);
+    const files = Array.from(event.target.files).filter(isImageFile);
+    
+    if (files.length > 1) {
+        await gradeBatch(files);
+    } else if (files.length === 1) {
+        await processUploadedFile(files[0]);
+    } else if (event.target.files.length > 0) {
+        showStatus('No image files found in the selection', 'error');
     }
 }
 
+// Check whether a File looks like an image
+function isImageFile(file) {
+    return file.type ? file.type.startsWith('image/') : /\.(png|jpe?g|gif|bmp|webp)$/i.test(file.name);
+}
+
+// Read a File into a loaded image element
+function loadImageFile(file) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Could not load image ${file.name}`));
+        
+        const reader = new FileReader();
+        reader.onload = e => { img.src = e.target.result; };
+        reader.onerror = () => reject(new Error(`Could not read file ${file.name}`));
+        reader.readAsDataURL(file);
+    });
+}
+
+// Draw an image onto a 224x224 canvas (model input size)
+function createModelInput(img) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.width = 224;
+    canvas.height = 224;
+    ctx.drawImage(img, 0, 0, 224, 224);
+    return canvas;
+}
+
+/**
+ * Check a photo against the detection profile's quality gate before grading it
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Full-resolution image
+ * @param {boolean} framing - Also check the onion's coverage and centring (single-onion grading)
+ * @param {Object} [frame] - getAnalysisFrame(source), when the caller already has it
+ * @returns {Object} { passed, reasons, metrics } from assessImageQuality
+ */
+function checkImageQuality(source, framing, frame = getAnalysisFrame(source)) {
+    const { width, height } = getSourceSize(source);
+    return featureExtractor.assessImageQuality(frame.data, 224, 224, {
+        sourceWidth: width,
+        sourceHeight: height,
+        framing: framing,
+        lighting: frame.lighting
+    });
+}
+
+// Result card listing why a photo failed the quality gate, with an option to grade it anyway
+function displayRetakeReasons(quality) {
+    labelContainer.innerHTML = `
+        <div class="prediction-result" style="background: linear-gradient(135deg, #757575 0%, #616161 100%);">
+            <div class="shelf-life-label">📷 Please Retake the Photo</div>
+            <div class="additional-info" style="text-align: left;">
+                ${quality.reasons.map(reason => `<div>• ${escapeHtml(reason)}</div>`).join('')}
+            </div>
+            <button onclick="gradeRejectedImage()" style="margin-top: 10px; padding: 6px 14px; font-size: 13px;">Grade anyway</button>
+        </div>
+    `;
+    document.getElementById('features-container').style.display = 'none';
+}
+
+// Grade the photo that last failed the quality gate
+async function gradeRejectedImage() {
+    if (!rejectedImage) return;
+    const { source, history } = rejectedImage;
+    rejectedImage = null;
+    await gradeImage(source, history, { skipQualityCheck: true });
+}
+
+/**
+ * Grade an image shown in the preview, either per onion or as a whole, and save it to the history
+ * Photos failing the quality gate get retake reasons instead of a grade
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Full-resolution image
+ * @param {Object} history - recordInspection details
+ * @param {Object} [options] - { skipQualityCheck }
+ */
+async function gradeImage(source, history, options = {}) {
+    const frame = getAnalysisFrame(source);
+    if (!options.skipQualityCheck) {
+        const quality = checkImageQuality(source, !multiOnionToggle.checked, frame);
+        if (!quality.passed) {
+            console.warn('Photo failed the quality gate:', quality);
+            rejectedImage = { source: source, history: history };
+            clearOverlay(imagePreview);
+            displayRetakeReasons(quality);
+            return;
+        }
+    }
+    
+    if (multiOnionToggle.checked) {
+        await predictEachOnion(source, imagePreview, history);
+    } else {
+        const framed = frameOnion(source, frame);
+        await showFramedPreview(source, framed.rect);
+        const result = attachFraming(await predict(framed.input, { calibration: framed.calibration, lighting: framed.lighting }), source, framed);
+        drawResultOverlay(imagePreview, framed.input, result);
+        await recordInspection(result, framed.input, history);
+    }
+}
+
+// Show the square crop that was graded in the preview, at up to PREVIEW_CROP_SIZE pixels
+async function showFramedPreview(source, rect) {
+    const data = createModelInput(source).getContext('2d').getImageData(0, 0, 224, 224).data;
+    const size = Math.max(224, Math.min(PREVIEW_CROP_SIZE, Math.round(rect.width)));
+    const crop = featureExtractor.drawSquareCrop(source, rect, size, featureExtractor.getBorderColor(data, 224, 224));
+    await showPreview(crop.toDataURL('image/jpeg', 0.92));
+}
+
+// Show an image URL in the preview once it has loaded
+async function showPreview(src) {
+    await new Promise(resolve => {
+        imagePreview.onload = resolve;
+        imagePreview.src = src;
+    });
+    imagePreview.style.display = 'block';
+}
+
 // Process uploaded file
 async function processUploadedFile(file) {
     try {
@@ -760,42 +1836,19 @@ async function processUploadedFile(file) {
         
         showStatus('Processing image...', 'loading');
         
-        // Create image element
-        const img = new Image();
-        img.onload = async function() {
-            // Show preview
-            imagePreview.src = img.src;
-            imagePreview.style.display = 'block';
-            
-            // Create canvas for prediction
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            
-            // Resize image to 224x224 (model input size)
-            canvas.width = 224;
-            canvas.height = 224;
-            ctx.drawImage(img, 0, 0, 224, 224);
-            
-            // Run prediction
-            await predict(canvas);
-            
-            hideStatus();
-        };
+        const img = await loadImageFile(file);
         
-        img.onerror = function() {
-            showStatus('Error: Could not load image', 'error');
-        };
+        // Show preview
+        imagePreview.src = img.src;
+        imagePreview.style.display = 'block';
         
-        // Load the image
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            img.src = e.target.result;
-        };
-        reader.readAsDataURL(file);
+        await gradeImage(img, { source: 'upload', file: file.name });
+        
+        hideStatus();
         
     } catch (error) {
         console.error('Error processing image:', error);
-        showStatus('Error processing image', 'error');
+        showStatus(`Error: ${error.message}`, 'error');
     }
 }
 
@@ -810,27 +1863,46 @@ fileDropArea.addEventListener('dragleave', function(e) {
     fileDropArea.classList.remove('dragover');
 });
 
-fileDropArea.addEventListener('drop', function(e) {
+fileDropArea.addEventListener('drop', async function(e) {
     e.preventDefault();
     fileDropArea.classList.remove('dragover');
     
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-        const file = files[0];
-        if (file.type.startsWith('image/')) {
-            processUploadedFile(file);
-        } else {
-            showStatus('Please drop an image file', 'error');
-        }
+    // Dropped folders are walked recursively
+    const files = (await collectDroppedFiles(e.dataTransfer)).filter(isImageFile);
+    
+    if (files.length > 1) {
+        gradeBatch(files);
+    } else if (files.length === 1) {
+        processUploadedFile(files[0]);
+    } else {
+        showStatus('Please drop an image file or a folder of images', 'error');
     }
 });
 
+// Cache the app, libraries and models for offline use (service workers need http(s) or localhost)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('./service-worker.js')
+        .then(registration => console.log('Service worker registered for offline use:', registration.scope))
+        .catch(error => console.warn('Service worker registration failed, offline use unavailable:', error));
+}
+
 // Initialize the application
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     console.log('Onion Shelf Life Prediction System loaded');
     
-    // Initialize feature extractor
-    featureExtractor = new OnionFeatureExtractor();
+    // Result container is needed by both the model and demo prediction paths
+    labelContainer = document.getElementById('label-container');
+    
+    // Initialize feature extractor with the selected detection profile
+    // (a failed profile load keeps its warning on screen instead of the ready message)
+    featureExtractor = new OnionFeatureExtractor({ verbose: DEBUG_LOGGING });
+    updateCalibrationStatus();
+    refreshCameraList();
+    await loadModelRegistry();
+    updateModeIndicator();
+    registerServiceWorker();
+    if (!await loadProfile()) return;
     
     showStatus('Ready! Upload an onion image or start webcam for analysis.', 'success');
     setTimeout(hideStatus, 3000);
@@ -0,0 +1,360 @@
+/**
+ * Batch Grading Module
+ * Grades many onion images at once (multi-file selection, folder selection or drop)
+ * and shows the results in a sortable table that can be exported as CSV or JSON
+ * Depends on predict(), loadModel(), loadImageFile(), getAnalysisFrame(), checkImageQuality(), frameOnion(),
+ * attachFraming(), getModelInfo(), featureExtractor, predictionMode and demoReason from app.js,
+ * and recordInspection() from history.js
+ */
+
+// Results of the most recent batch, one row per file
+let batchResults = [];
+let batchSort = { key: 'file', ascending: true };
+
+// Fixed leading columns; every extracted feature is appended after these
+const BATCH_BASE_COLUMNS = [
+    { key: 'file', label: 'File' },
+    { key: 'status', label: 'Status' },
+    { key: 'mode', label: 'Mode' },
+    { key: 'predicted_class', label: 'Class' },
+    { key: 'days', label: 'Days' },
+    { key: 'days_lower', label: 'Days (low)' },
+    { key: 'days_upper', label: 'Days (high)' },
+    { key: 'confidence', label: 'Confidence' },
+    { key: 'grade', label: 'Grade' },
+    { key: 'profile', label: 'Profile' },
+    { key: 'model', label: 'Model' },
+    { key: 'fallback_reason', label: 'Fallback reason' },
+    { key: 'hybrid.needs_review', label: 'Review' },
+    { key: 'hybrid.model_days', label: 'Model days' },
+    { key: 'hybrid.feature_days', label: 'Feature days' },
+    { key: 'class_margin.margin', label: 'Top-2 margin' },
+    { key: 'class_margin.ambiguous', label: 'Ambiguous' }
+];
+
+/**
+ * Collect all files from a drop, walking into dropped folders
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+async function collectDroppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    const entries = items
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+
+    // Browsers without the entries API only expose top-level files
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files || []);
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        await readEntry(entry, files);
+    }
+    return files;
+}
+
+/**
+ * Recursively read a FileSystemEntry into a list of files
+ */
+async function readEntry(entry, files) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        file.relativePath = entry.fullPath.replace(/^\//, '');
+        files.push(file);
+        return;
+    }
+
+    if (entry.isDirectory) {
+        const reader = entry.createReader();
+        // readEntries returns results in chunks until it returns an empty list
+        let chunk;
+        do {
+            chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of chunk) {
+                await readEntry(child, files);
+            }
+        } while (chunk.length > 0);
+    }
+}
+
+/**
+ * Flatten nested feature objects into dotted column names
+ * e.g. { dimensions: { width_mm: 50 } } -> { 'dimensions.width_mm': 50 }
+ * Per-region lists (e.g. black_spots) are left out; their counts are separate features
+ */
+function flattenFeatures(features, prefix = '') {
+    const flat = {};
+    if (!features) return flat;
+
+    for (const [key, value] of Object.entries(features)) {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (Array.isArray(value)) continue;
+        if (value && typeof value === 'object') {
+            Object.assign(flat, flattenFeatures(value, name));
+        } else {
+            flat[name] = value;
+        }
+    }
+    return flat;
+}
+
+/**
+ * Model a result or history record was graded with, as { id, name }
+ * Without a model the feature formula graded it: 'demo' only when the app fell back to it (fallback_reason),
+ * else 'features' (Features only picked in the UI)
+ */
+function getResultModel(result) {
+    if (result.model) return result.model;
+    return result.fallback_reason
+        ? { id: 'demo', name: 'Demo mode' }
+        : { id: 'features', name: 'Features only' };
+}
+
+/**
+ * Profile, model and fallback reason the current settings grade with, for rows without a result
+ * (retakes, errors), so every exported row says how it would have been graded
+ */
+function getGradingSettings() {
+    const profile = featureExtractor.getProfileInfo();
+    const fallbackReason = window.demoMode ? demoReason : null;
+    const modelInfo = window.demoMode || predictionMode === 'features' ? null : getModelInfo();
+    return {
+        profile: `${profile.name} v${profile.version}`,
+        model: getResultModel({ model: modelInfo, fallback_reason: fallbackReason }).id,
+        fallback_reason: fallbackReason
+    };
+}
+
+/**
+ * Turn a predict() result into a table row
+ */
+function buildBatchRow(fileName, result) {
+    if (!result) {
+        return Object.assign({ file: fileName, status: 'Prediction failed' }, getGradingSettings());
+    }
+
+    const features = flattenFeatures(result.features);
+    const profile = `${result.profile.name} v${result.profile.version}`;
+
+    if (!result.onionDetected) {
+        return Object.assign({
+            file: fileName,
+            status: 'No onion detected',
+            profile: profile,
+            model: getResultModel(result).id,
+            fallback_reason: result.fallback_reason
+        }, features);
+    }
+
+    return Object.assign({
+        file: fileName,
+        status: 'OK',
+        mode: result.mode,
+        predicted_class: result.predictedClass,
+        days: result.estimate.days,
+        days_lower: result.estimate.lower,
+        days_upper: result.estimate.upper,
+        confidence: Math.round(result.confidence * 1000) / 1000,
+        grade: result.grade,
+        profile: profile,
+        model: getResultModel(result).id,
+        fallback_reason: result.fallback_reason
+    }, flattenFeatures(result.hybrid, 'hybrid'), flattenFeatures(result.class_margin, 'class_margin'), flattenFeatures(result.framing, 'framing'), features);
+}
+
+/**
+ * Grade every image in a list of files
+ * @param {File[]} files
+ */
+async function gradeBatch(files) {
+    // Load model first if not already loaded
+    if (!model) {
+        const modelLoaded = await loadModel();
+        if (!modelLoaded) return;
+    }
+
+    batchResults = [];
+
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        const fileName = file.relativePath || file.webkitRelativePath || file.name;
+
+        showStatus(`Grading ${i + 1} of ${files.length}: ${fileName}`, 'loading');
+
+        try {
+            const img = await loadImageFile(file);
+            const frame = getAnalysisFrame(img);
+            const quality = checkImageQuality(img, true, frame);
+            const metrics = flattenFeatures(quality.metrics, 'quality');
+            
+            // Photos failing the quality gate are listed with their retake reasons instead of a grade
+            if (!quality.passed) {
+                batchResults.push(Object.assign({ file: fileName, status: `Retake: ${quality.reasons.join('; ')}` }, getGradingSettings(), metrics));
+            } else {
+                const framed = frameOnion(img, frame);
+                const result = attachFraming(await predict(framed.input, { display: false, calibration: framed.calibration, lighting: framed.lighting }), img, framed);
+                batchResults.push(Object.assign(buildBatchRow(fileName, result), metrics));
+                await recordInspection(result, framed.input, { source: 'batch', file: fileName });
+            }
+        } catch (error) {
+            console.error(`Error grading ${fileName}:`, error);
+            batchResults.push(Object.assign({ file: fileName, status: `Error: ${error.message}` }, getGradingSettings()));
+        }
+
+        // Show progress as rows come in
+        renderBatchTable();
+    }
+
+    showStatus(`Batch complete: ${files.length} images graded`, 'success');
+    setTimeout(hideStatus, 3000);
+}
+
+/**
+ * Columns for the current batch: base columns plus every feature seen in any row
+ */
+function getBatchColumns() {
+    const baseKeys = new Set(BATCH_BASE_COLUMNS.map(column => column.key));
+    const featureKeys = [];
+
+    for (const row of batchResults) {
+        for (const key of Object.keys(row)) {
+            if (!baseKeys.has(key) && !featureKeys.includes(key)) {
+                featureKeys.push(key);
+            }
+        }
+    }
+
+    return BATCH_BASE_COLUMNS.concat(featureKeys.map(key => ({ key: key, label: key })));
+}
+
+/**
+ * Compare two cell values (numbers numerically, everything else as text; blanks last)
+ */
+function compareBatchValues(a, b) {
+    const aEmpty = a === undefined || a === null || a === '';
+    const bEmpty = b === undefined || b === null || b === '';
+    if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Sort the batch table by a column (clicking the same column again flips the order)
+ */
+function sortBatchTable(key) {
+    if (batchSort.key === key) {
+        batchSort.ascending = !batchSort.ascending;
+    } else {
+        batchSort = { key: key, ascending: true };
+    }
+    renderBatchTable();
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the batch results table
+ */
+function renderBatchTable() {
+    const container = document.getElementById('batch-container');
+    const content = document.getElementById('batch-content');
+
+    if (batchResults.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const columns = getBatchColumns();
+    const direction = batchSort.ascending ? 1 : -1;
+    const rows = batchResults.slice().sort((a, b) => {
+        const aValue = a[batchSort.key];
+        const bValue = b[batchSort.key];
+        // Keep blanks at the bottom regardless of direction
+        if (aValue === undefined || bValue === undefined) return compareBatchValues(aValue, bValue);
+        return direction * compareBatchValues(aValue, bValue);
+    });
+
+    let html = '<div style="overflow-x: auto;"><table style="border-collapse: collapse; font-size: 12px; white-space: nowrap;">';
+
+    html += '<thead><tr>';
+    for (const column of columns) {
+        const arrow = batchSort.key === column.key ? (batchSort.ascending ? ' ▲' : ' ▼') : '';
+        html += `<th onclick="sortBatchTable('${escapeHtml(column.key)}')" style="cursor: pointer; padding: 6px 8px; background: #667eea; color: white; text-align: left;">${escapeHtml(column.label)}${arrow}</th>`;
+    }
+    html += '</tr></thead><tbody>';
+
+    rows.forEach((row, index) => {
+        const background = index % 2 === 0 ? '#ffffff' : '#f8f9fa';
+        html += `<tr style="background: ${background};">`;
+        for (const column of columns) {
+            let value = row[column.key];
+            if (column.key === 'confidence' && typeof value === 'number') {
+                value = `${(value * 100).toFixed(1)}%`;
+            } else if (typeof value === 'number' && !Number.isInteger(value)) {
+                value = value.toFixed(3);
+            }
+            html += `<td style="padding: 4px 8px; border-bottom: 1px solid #eee;">${value === undefined ? '' : escapeHtml(value)}</td>`;
+        }
+        html += '</tr>';
+    });
+
+    html += '</tbody></table></div>';
+
+    content.innerHTML = html;
+    container.style.display = 'block';
+}
+
+/**
+ * Trigger a browser download for generated text content
+ */
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Build CSV text from rows and columns
+ */
+function toCsv(rows, columns) {
+    const escapeCell = value => {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(column => escapeCell(column.key)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCell(row[column.key])).join(','));
+    }
+    return lines.join('\n');
+}
+
+// Export the current batch as CSV
+function exportBatchCsv() {
+    if (batchResults.length === 0) return;
+    downloadFile('onion_batch_results.csv', toCsv(batchResults, getBatchColumns()), 'text/csv');
+}
+
+// Export the current batch as JSON
+function exportBatchJson() {
+    if (batchResults.length === 0) return;
+    downloadFile('onion_batch_results.json', JSON.stringify(batchResults, null, 2), 'application/json');
+}
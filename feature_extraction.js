@@ -4,19 +4,312 @@
  * Based on the features defined in online-shelf-life.ipynb
  */
 
-console.log('=== FEATURE_EXTRACTION.JS LOADED - VERSION 2.0 ===');
+if (typeof window !== 'undefined') {
+    console.log('=== FEATURE_EXTRACTION.JS LOADED - VERSION 2.0 ===');
+}
+
+// Built-in detection profile, used when no profile file is loaded.
+// profiles/default.json holds the same values; copy it to create a profile per variety or facility.
+// Ranges are [min, max]; see FEATURES.md for how each value is used.
+const DEFAULT_PROFILE = {
+    schema_version: 1,
+    name: 'default',
+    version: '1.0.0',
+    description: 'Generic golden, white and red onions photographed in daylight. Matches the original built-in thresholds.',
+    onion_pixel: {
+        golden: { r: [80, 230], g: [50, 200], b: [20, 130], min_r_minus_b: 20 },
+        white: { min_rgb: 170 },
+        red: { r: [80, 180], b: [70, 170], min_r_minus_g: -10, min_b_minus_g: -30 },
+        dark: { brightness: [10, 80], max_r: 120 },
+        families: ['golden', 'white', 'red']
+    },
+    dimensions: {
+        reference_diameter_mm: 75,
+        size_classes_mm: { small: 50, medium: 75, large: 100 },
+        market_grades_mm: [
+            { grade: 'Colossal', min: 102 },
+            { grade: 'Jumbo', min: 76 },
+            { grade: 'Medium', min: 51 },
+            { grade: 'Small', min: 25 }
+        ],
+        reference_marker: {
+            shape: 'square',
+            size_mm: 30,
+            max_brightness: 70,
+            min_area_ratio: 0.002,
+            fill_tolerance: 0.12,
+            max_aspect: 2
+        }
+    },
+    white_balance: {
+        enabled: true,
+        max_saturation: 0.45,
+        min_neutral_ratio: 0.05,
+        max_gain: 1.6,
+        target_brightness: null,
+        reference_card: { enabled: false, min_brightness: 60, max_step: 12, min_area_ratio: 0.01, min_fill: 0.85 }
+    },
+    segmentation: {
+        method: 'clustering',
+        clusters: 5,
+        iterations: 8,
+        sample_step: 3,
+        border_ratio: 0.06,
+        center_ratio: 0.4,
+        background_border_share: 0.1,
+        center_keep_ratio: 0.5,
+        smoothing_passes: 2,
+        min_coverage: 0.02,
+        max_coverage: 0.9,
+        min_contrast: 20
+    },
+    quality_gate: {
+        enabled: true,
+        min_sharpness: 20,
+        min_brightness: 40,
+        max_clipped_ratio: 0.2,
+        min_source_px: 224,
+        min_coverage: 0.05,
+        max_coverage: 0.85,
+        max_center_offset: 0.25
+    },
+    multi_onion: { min_area_ratio: 0.01 },
+    black_spots: { brightness: [20, 80], min_area: 3, max_area: 1000 },
+    texture: { variance_steps: [10, 20, 35] },
+    skin: {
+        good_pixel: { min_brightness: 120, min_saturation: 0.25, tone: 'golden' },
+        poor_pixel: { max_brightness: 80, max_saturation: 0.15 },
+        excellent: { min_good_ratio: 0.4, min_brightness: 130, min_saturation: 0.3 },
+        good: { min_good_ratio: 0.25, min_brightness: 110, min_saturation: 0.25 },
+        fair: { max_poor_ratio: 0.3, min_brightness: 90 },
+        poor: { max_poor_ratio: 0.5, min_brightness: 70 }
+    },
+    bruises: { brightness: [40, 100], min_ratio: 0.05 },
+    lesions: { max_brightness: 70, max_saturation: 0.25, min_ratio: 0.06 },
+    cuts: { min_brightness_jump: 60, min_ratio: 0.03 },
+    sprouting: { min_green_margin: 35, min_green: 100, max_distance_ratio: 0.1 },
+    firmness: { solidity_steps: [0.95, 0.9, 0.85, 0.8] },
+    color_uniformity: { min_chroma: 20, hue_tolerance_deg: 25 },
+    poles: { pole_fraction: 0.15, dark_brightness: 70, fair_ratio: 0.1, poor_ratio: 0.25 },
+    shelf_life: {
+        base_days: 30,
+        max_days: 37,
+        per_black_spot: 0.8,
+        per_texture_point: 3,
+        per_skin_point: 4,
+        visible_damage: 8,
+        sprouting_penalties: [
+            { min_ratio: 0.05, days: 10 },
+            { min_ratio: 0.02, days: 5 }
+        ],
+        axis_ratio: { max_normal: 1.2, days_per_unit: 10 },
+        per_firmness_point: 2,
+        color_uniformity: { min_percent: 85, days_per_percent: 0.2 },
+        pole_penalties: { Fair: 2, Poor: 5 }
+    },
+    grades: { A: 25, B: 18, C: 10 },
+    hybrid: { model_weight: 0.6, feature_weight: 0.4, review_disagreement_days: 10 },
+    varieties: {
+        yellow: {
+            label: 'Yellow',
+            onion_pixel: { families: ['golden', 'white'] }
+        },
+        white: {
+            label: 'White',
+            onion_pixel: { families: ['white'] },
+            skin: {
+                good_pixel: { min_brightness: 170, min_saturation: 0, tone: 'neutral' },
+                poor_pixel: { max_brightness: 120, max_saturation: 0 },
+                excellent: { min_good_ratio: 0.4, min_brightness: 180, min_saturation: 0 },
+                good: { min_good_ratio: 0.25, min_brightness: 160, min_saturation: 0 },
+                fair: { max_poor_ratio: 0.3, min_brightness: 140 },
+                poor: { max_poor_ratio: 0.5, min_brightness: 110 }
+            },
+            sprouting: { min_green_margin: 25 }
+        },
+        red: {
+            label: 'Red',
+            onion_pixel: { families: ['red', 'golden'] },
+            skin: {
+                good_pixel: { min_brightness: 70, min_saturation: 0.2, tone: 'purple' },
+                poor_pixel: { max_brightness: 50, max_saturation: 0.1 },
+                excellent: { min_good_ratio: 0.4, min_brightness: 90, min_saturation: 0.3 },
+                good: { min_good_ratio: 0.25, min_brightness: 75, min_saturation: 0.25 },
+                fair: { max_poor_ratio: 0.3, min_brightness: 60 },
+                poor: { max_poor_ratio: 0.5, min_brightness: 45 }
+            }
+        }
+    }
+};
+
+// Highest profile schema this extractor understands
+const PROFILE_SCHEMA_VERSION = 1;
+
+// Skin colour expected on healthy skin, selected by skin.good_pixel.tone
+const SKIN_TONES = {
+    golden: (r, g, b) => r > g && g > b,
+    neutral: (r, g, b) => Math.max(r, g, b) - Math.min(r, g, b) < 40,
+    purple: (r, g, b) => r > g + 20 && b >= g - 10
+};
+
+// Onion colour family (onion_pixel box) that identifies each variety
+const VARIETY_FAMILIES = { golden: 'yellow', white: 'white', red: 'red' };
 
 class OnionFeatureExtractor {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.verbose=true] - Log each extraction step to the console
+     * @param {Object} [options.profile] - Detection profile (see profiles/default.json); missing values use the defaults
+     * @param {string} [options.variety='auto'] - 'auto' to detect, or a variety from the profile (yellow, white, red)
+     */
+    constructor(options = {}) {
         this.features = {};
+        this.verbose = options.verbose !== false;
+        this.setProfile(options.profile);
+        this.setVariety(options.variety || 'auto');
+    }
+
+    /**
+     * Activate a detection profile
+     * Values missing from the profile fall back to DEFAULT_PROFILE
+     * @param {Object} [profile] - Parsed profile JSON
+     */
+    setProfile(profile) {
+        if (profile && profile.schema_version > PROFILE_SCHEMA_VERSION) {
+            throw new Error(`Profile "${profile.name}" uses schema ${profile.schema_version}, but only schema ${PROFILE_SCHEMA_VERSION} is supported`);
+        }
+        this.profile = OnionFeatureExtractor.mergeProfile(DEFAULT_PROFILE, profile || {});
+        // Rules in effect; replaced by the variety-specific rules during extraction
+        this.rules = this.profile;
+    }
+
+    /**
+     * Choose the onion variety whose rules are applied
+     * @param {string} variety - 'auto' to detect from the image, or a key of profile.varieties
+     */
+    setVariety(variety) {
+        if (variety !== 'auto' && !(this.profile.varieties || {})[variety]) {
+            throw new Error(`Unknown onion variety "${variety}" in profile "${this.profile.name}"`);
+        }
+        this.selectedVariety = variety;
+    }
+
+    /**
+     * Detect the variety from which onion colour family covers the most onion (foreground) pixels
+     * @returns {{name: string|null, share: number}} Variety key (null when no onion pixels) and its pixel share
+     */
+    detectVariety(data) {
+        const counts = { golden: 0, white: 0, red: 0 };
+        let total = 0;
+        
+        for (let i = 0; i < data.length; i += 4) {
+            if (!this.isForeground(data, i / 4)) continue;
+            const family = this.classifyOnionPixel(data[i], data[i + 1], data[i + 2], this.profile.onion_pixel);
+            if (family) {
+                counts[family]++;
+                total++;
+            }
+        }
+        
+        if (total === 0) return { name: null, share: 0 };
+        
+        const family = Object.keys(counts).reduce((best, key) => (counts[key] > counts[best] ? key : best));
+        return { name: VARIETY_FAMILIES[family], share: counts[family] / total };
+    }
+
+    /**
+     * Profile with a variety's overrides applied (the base profile for no or an unknown variety)
+     * @param {string|null} name - Variety name (yellow, white, red)
+     */
+    getVarietyRules(name) {
+        const overrides = name && this.profile.varieties ? this.profile.varieties[name] : null;
+        return overrides ? OnionFeatureExtractor.mergeProfile(this.profile, overrides) : this.profile;
+    }
+
+    /**
+     * Switch to the rules for the selected (or detected) variety of this image
+     * @returns {Object} Variety info { name, label, source: 'selected'|'detected', share }
+     */
+    applyVariety(data) {
+        let name = this.selectedVariety;
+        let source = 'selected';
+        let share = null;
+        
+        if (name === 'auto') {
+            const detected = this.detectVariety(data);
+            name = detected.name;
+            source = 'detected';
+            share = detected.share;
+        }
+        
+        const overrides = name && this.profile.varieties ? this.profile.varieties[name] : null;
+        this.rules = this.getVarietyRules(name);
+        
+        return {
+            name: name,
+            label: overrides && overrides.label ? overrides.label : 'Unknown',
+            source: source,
+            share: share
+        };
+    }
+
+    /**
+     * Name and version of the active profile, included with every result
+     * @returns {{name: string, version: string}}
+     */
+    getProfileInfo() {
+        return { name: this.profile.name, version: this.profile.version };
+    }
+
+    /**
+     * Deep-merge a profile over a base profile (arrays and values replace, objects merge)
+     */
+    static mergeProfile(base, override) {
+        const merged = Object.assign({}, base);
+        for (const [key, value] of Object.entries(override)) {
+            const baseValue = base[key];
+            if (value && typeof value === 'object' && !Array.isArray(value) &&
+                baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue)) {
+                merged[key] = OnionFeatureExtractor.mergeProfile(baseValue, value);
+            } else {
+                merged[key] = value;
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Log extraction progress when verbose
+     */
+    log(...args) {
+        if (this.verbose) {
+            console.log(...args);
+        }
     }
 
     /**
      * Extract all features from an image element (canvas/img)
+     * Square images (such as the app's framed model input) are analysed as they are; any other image is
+     * framed around the onion first (frameImage) so its shape is not stretched
      * @param {HTMLCanvasElement|HTMLImageElement} imageElement 
+     * @param {Object} [options] - See extractFeaturesFromPixels; a calibration and lighting are for the whole
+     *     image drawn at 224x224
      * @returns {Object} Extracted features
      */
-    async extractFeatures(imageElement) {
+    async extractFeatures(imageElement, options = {}) {
+        const sourceWidth = imageElement.naturalWidth || imageElement.videoWidth || imageElement.width;
+        const sourceHeight = imageElement.naturalHeight || imageElement.videoHeight || imageElement.height;
+        if (sourceWidth !== sourceHeight) {
+            const framed = this.frameImage(imageElement, 224, 0.1, options.lighting);
+            const calibration = options.calibration && {
+                source: options.calibration.source,
+                mm_per_px_x: options.calibration.mm_per_px_x * framed.rect.width / sourceWidth,
+                mm_per_px_y: options.calibration.mm_per_px_y * framed.rect.height / sourceHeight
+            };
+            imageElement = framed.canvas;
+            options = Object.assign({}, options, { calibration: calibration, lighting: framed.lighting });
+        }
+        
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
         canvas.width = 224;
@@ -24,77 +317,232 @@ class OnionFeatureExtractor {
         ctx.drawImage(imageElement, 0, 0, 224, 224);
         
         const imageData = ctx.getImageData(0, 0, 224, 224);
-        const data = imageData.data;
+        return this.extractFeaturesFromPixels(imageData.data, 224, 224, options);
+    }
+
+    /**
+     * Extract all features from raw RGBA pixel data (no DOM required)
+     * @param {Uint8ClampedArray|Uint8Array|Buffer} data - RGBA pixels, 4 bytes per pixel
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} [options]
+     * @param {Object} [options.calibration] - { source, mm_per_px_x, mm_per_px_y } for these pixels (e.g. a saved
+     *     fixed-camera calibration), used when no reference marker is found in the image
+     * @param {Object} [options.lighting] - White balance measured on the whole frame these pixels were cropped
+     *     from (see correctLighting); measured on these pixels when omitted
+     * @returns {Object} Extracted features
+     */
+    extractFeaturesFromPixels(data, width, height, options = {}) {
+        if (!data || data.length < width * height * 4) {
+            throw new Error(`Expected ${width * height * 4} bytes of RGBA data, got ${data ? data.length : 0}`);
+        }
+        
+        this.log('=== FEATURE EXTRACTION START ===');
         
-        console.log('=== FEATURE EXTRACTION START ===');
+        // Colour constancy and the foreground mask first; every detector only looks at corrected onion pixels
+        const prepared = this.prepareImage(data, width, height, options.lighting);
+        const { lighting, variety, segmentation, marker } = prepared;
+        data = prepared.data;
+        this.log('✓ White balance:', lighting);
+        this.log('✓ Segmentation:', segmentation);
+        this.log('✓ Variety:', variety);
+        
+        // A marker in the frame takes priority over a calibration passed in
+        const calibration = marker ? marker.calibration : (options.calibration || null);
         
         // Extract all features
-        const dimensions = this.estimateDimensions(data, 224, 224);
-        console.log('✓ Dimensions:', dimensions);
+        const dimensions = this.estimateDimensions(data, width, height, calibration);
+        this.log('✓ Dimensions:', dimensions);
         
-        const black_spots_count = this.countBlackSpots(data);
-        console.log('✓ Black spots count:', black_spots_count);
+        const black_spots = this.findBlackSpots(data, width, height);
+        const black_spots_count = black_spots.length;
+        this.log('✓ Black spots count:', black_spots_count);
         
-        const surface_texture_score = this.analyzeSurfaceTexture(data);
-        console.log('✓ Surface texture score:', surface_texture_score);
+        const surface_texture_score = this.analyzeSurfaceTexture(data, width, height);
+        this.log('✓ Surface texture score:', surface_texture_score);
         
         const skin_condition_score = this.analyzeSkinCondition(data);
-        console.log('✓ Skin condition score:', skin_condition_score);
+        this.log('✓ Skin condition score:', skin_condition_score);
         
         const has_bruises = this.detectBruises(data);
-        console.log('✓ Has bruises:', has_bruises);
+        this.log('✓ Has bruises:', has_bruises);
         
-        const has_cuts = this.detectCuts(data);
-        console.log('✓ Has cuts:', has_cuts);
+        const has_cuts = this.detectCuts(data, width, height);
+        this.log('✓ Has cuts:', has_cuts);
         
         const has_lesions = this.detectLesions(data);
-        console.log('✓ Has lesions:', has_lesions);
+        this.log('✓ Has lesions:', has_lesions);
         
         const color_analysis = this.analyzeColor(data);
-        console.log('✓ Color analysis:', color_analysis);
+        this.log('✓ Color analysis:', color_analysis);
+        
+        const sprouting_detected = this.detectSprouting(data, width, height);
+        this.log('✓ Sprouting detected:', (sprouting_detected * 100).toFixed(2) + '%');
         
-        const sprouting_detected = this.detectSprouting(data);
-        console.log('✓ Sprouting detected:', (sprouting_detected * 100).toFixed(2) + '%');
+        const { color_uniformity, hue_std_deg } = this.analyzeColorUniformity(data);
+        color_analysis.hue_std_deg = hue_std_deg;
+        this.log('✓ Color uniformity:', color_uniformity);
+        
+        // Shape, firmness and poles need the outline of the onion
+        const region = this.getOnionRegion(data, width, height);
+        const shape = region ? this.analyzeShape(region, width, height, dimensions.calibration) : null;
+        const firmness = shape ? this.estimateFirmness(shape) : null;
+        const poles = shape ? this.analyzePoles(data, region, shape, width, dimensions.calibration) : null;
+        this.log('✓ Shape:', shape, 'Firmness:', firmness, 'Poles:', poles);
         
         const features = {
             dimensions: dimensions,
             black_spots_count: black_spots_count,
+            black_spots: black_spots,
             surface_texture_score: surface_texture_score,
             skin_condition_score: skin_condition_score,
             has_bruises: has_bruises,
             has_cuts: has_cuts,
             has_lesions: has_lesions,
             color_analysis: color_analysis,
-            sprouting_detected: sprouting_detected
+            sprouting_detected: sprouting_detected,
+            axis_ratio: shape ? shape.axis_ratio : null,
+            shape: shape ? { orientation_deg: shape.orientation_deg, solidity: shape.solidity } : null,
+            color_uniformity: color_uniformity,
+            firmness_score: firmness ? firmness.score : null,
+            firmness_basis: firmness ? firmness.basis : null,
+            root_condition: poles ? poles.root.condition : null,
+            neck_condition: poles ? poles.neck.condition : null,
+            poles: poles,
+            variety: variety,
+            segmentation: segmentation,
+            white_balance: lighting
         };
         
         // Calculate visible damage flag
         features.visible_damage_flag = (features.has_bruises || features.has_cuts || features.has_lesions) ? 1 : 0;
-        console.log('✓ Visible damage flag:', features.visible_damage_flag);
+        this.log('✓ Visible damage flag:', features.visible_damage_flag);
         
-        console.log('=== ALL FEATURES EXTRACTED ===');
-        console.log(features);
+        this.log('=== ALL FEATURES EXTRACTED ===');
+        this.log(features);
         
         this.features = features;
         return features;
     }
 
+    /**
+     * Check whether a photo is good enough to grade, using the onion mask
+     * Sharpness is the variance of the Laplacian over the onion; exposure is the frame brightness and the
+     * share of onion pixels with a clipped (250+) channel; framing is the onion's coverage, its centroid's
+     * distance from the centre (as a share of the frame) and whether it touches the frame edge
+     * The onion is found on the lighting-corrected pixels like everywhere else; sharpness and exposure are
+     * measured on the pixels as taken, since the correction would hide a dark or washed-out photo
+     * @param {Object} [options]
+     * @param {number} [options.sourceWidth] - Width of the original photo (defaults to width)
+     * @param {number} [options.sourceHeight] - Height of the original photo (defaults to height)
+     * @param {boolean} [options.framing=true] - Check coverage and centring (off when grading several onions per photo)
+     * @param {Object} [options.lighting] - White balance of these pixels when already measured (see correctLighting)
+     * @returns {Object} { passed, reasons: string[] (one per failed check), metrics }
+     */
+    assessImageQuality(data, width, height, options = {}) {
+        const settings = this.profile.quality_gate;
+        const sourceWidth = options.sourceWidth || width;
+        const sourceHeight = options.sourceHeight || height;
+        const framing = options.framing !== false;
+        const prepared = this.prepareImage(data, width, height, options.lighting);
+        const segmentation = prepared.segmentation;
+        const region = this.getOnionRegion(prepared.data, width, height);
+        const reasons = [];
+        
+        // Grey levels and exposure over the whole frame
+        const gray = new Float32Array(width * height);
+        let brightnessSum = 0;
+        for (let i = 0; i < gray.length; i++) {
+            const idx = i * 4;
+            gray[i] = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+            brightnessSum += gray[i];
+        }
+        const brightness = brightnessSum / gray.length;
+        
+        // Laplacian variance and clipped highlights over the onion (whole frame when no onion is found)
+        let count = 0, sum = 0, sumSquares = 0, clipped = 0, onionPixels = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                if (region && !this.isForeground(prepared.data, i)) continue;
+                
+                const idx = i * 4;
+                onionPixels++;
+                if (data[idx] >= 250 || data[idx + 1] >= 250 || data[idx + 2] >= 250) clipped++;
+                
+                const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+                count++;
+                sum += laplacian;
+                sumSquares += laplacian * laplacian;
+            }
+        }
+        const sharpness = count > 0 ? sumSquares / count - (sum / count) ** 2 : 0;
+        const clippedRatio = onionPixels > 0 ? clipped / onionPixels : 0;
+        
+        if (Math.min(sourceWidth, sourceHeight) < settings.min_source_px) {
+            reasons.push(`Resolution too low (${sourceWidth}×${sourceHeight}) - use a photo at least ${settings.min_source_px} px on its shorter side`);
+        }
+        if (sharpness < settings.min_sharpness) {
+            reasons.push('Photo is blurry - hold the camera still and make sure the onion is in focus');
+        }
+        if (brightness < settings.min_brightness) {
+            reasons.push('Photo is too dark - add light or increase exposure');
+        }
+        if (clippedRatio > settings.max_clipped_ratio) {
+            reasons.push(`Photo is over-exposed (${Math.round(clippedRatio * 100)}% of the onion is washed out) - reduce light or exposure`);
+        }
+        
+        let centerOffset = null;
+        let touchesEdge = false;
+        if (region) {
+            centerOffset = Math.hypot(region.centroid.x / width - 0.5, region.centroid.y / height - 0.5);
+            touchesEdge = region.bbox.minX === 0 || region.bbox.minY === 0 ||
+                          region.bbox.maxX === width - 1 || region.bbox.maxY === height - 1;
+        }
+        
+        if (framing) {
+            if (!segmentation.onion_detected) {
+                reasons.push('No onion found - photograph the whole onion against a plain background');
+            } else if (segmentation.coverage < settings.min_coverage) {
+                reasons.push('Onion is too small in the frame - move closer');
+            } else if (segmentation.coverage > settings.max_coverage) {
+                reasons.push('Onion fills the whole frame - move back so the background is visible around it');
+            } else if (touchesEdge) {
+                reasons.push('Onion is cut off at the edge of the photo - frame the whole onion');
+            } else if (centerOffset > settings.max_center_offset) {
+                reasons.push('Onion is off-centre - place it in the middle of the frame');
+            }
+        }
+        
+        return {
+            passed: !settings.enabled || reasons.length === 0,
+            reasons: reasons,
+            metrics: {
+                sharpness: Math.round(sharpness * 10) / 10,
+                brightness: Math.round(brightness * 10) / 10,
+                clipped_ratio: Math.round(clippedRatio * 1000) / 1000,
+                source_width: sourceWidth,
+                source_height: sourceHeight,
+                coverage: segmentation.coverage,
+                center_offset: centerOffset === null ? null : Math.round(centerOffset * 1000) / 1000,
+                touches_edge: touchesEdge
+            }
+        };
+    }
+
     /**
      * Estimate onion dimensions from image
+     * @param {Object|null} [calibration] - { source, mm_per_px_x, mm_per_px_y }; without one the onion's
+     *     largest side is assumed to be dimensions.reference_diameter_mm
      */
-    estimateDimensions(data, width, height) {
+    estimateDimensions(data, width, height, calibration = null) {
         let minX = width, maxX = 0, minY = height, maxY = 0;
         let onionPixels = 0;
         
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
-                const idx = (y * width + x) * 4;
-                const r = data[idx];
-                const g = data[idx + 1];
-                const b = data[idx + 2];
-                
-                // Check if pixel is onion-colored
-                if (this.isOnionPixel(r, g, b)) {
+                // Check if pixel is part of the onion
+                if (this.isForeground(data, y * width + x)) {
                     onionPixels++;
                     minX = Math.min(minX, x);
                     maxX = Math.max(maxX, x);
@@ -104,18 +552,786 @@ class OnionFeatureExtractor {
             }
         }
         
-        const pixelWidth = maxX - minX;
-        const pixelHeight = maxY - minY;
+        const pixelWidth = onionPixels > 0 ? maxX - minX + 1 : 0;
+        const pixelHeight = onionPixels > 0 ? maxY - minY + 1 : 0;
+        
+        // Millimetres per pixel on each axis (they differ when the photo was stretched to a square)
+        let scale;
+        if (calibration) {
+            scale = calibration;
+        } else {
+            // Uncalibrated: assume the onion is the profile's reference diameter (~75mm)
+            const assumed = this.rules.dimensions.reference_diameter_mm / Math.max(1, pixelWidth, pixelHeight);
+            scale = { source: 'assumed', mm_per_px_x: assumed, mm_per_px_y: assumed };
+        }
+        
+        const widthMm = pixelWidth * scale.mm_per_px_x;
+        const lengthMm = pixelHeight * scale.mm_per_px_y;
+        const diameterMm = Math.max(widthMm, lengthMm);
+        
+        return {
+            length_mm: Math.round(lengthMm * 10) / 10,
+            width_mm: Math.round(widthMm * 10) / 10,
+            // Depth is not visible in a single photo; a round cross-section is assumed
+            height_mm: Math.round(widthMm * 10) / 10,
+            diameter_mm: Math.round(diameterMm * 10) / 10,
+            size_class: this.classifySize(diameterMm),
+            market_grade: this.classifyMarketGrade(diameterMm),
+            calibration: {
+                source: scale.source,
+                mm_per_px_x: Math.round(scale.mm_per_px_x * 10000) / 10000,
+                mm_per_px_y: Math.round(scale.mm_per_px_y * 10000) / 10000
+            }
+        };
+    }
+
+    /**
+     * Find a printed reference marker (solid dark square or disc of known size) lying beside the onion
+     * Dark regions clear of the image border are kept when their bounding box is filled like the
+     * profile's marker shape (square ~100%, circle ~79%); the largest one wins.
+     * Expects lighting-corrected pixels, as segmentation gets them (see prepareImage).
+     * @returns {Object|null} Region { area, bbox, pixels, box, calibration } or null when there is no marker
+     */
+    findReferenceMarker(data, width, height) {
+        // Markers are found before the variety is known, so always with the base profile
+        const marker = this.profile.dimensions.reference_marker;
+        if (!marker) return null;
+        
+        const expectedFill = marker.shape === 'circle' ? Math.PI / 4 : 1;
+        const darkMask = new Uint8Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            const idx = i * 4;
+            darkMask[i] = (data[idx] + data[idx + 1] + data[idx + 2]) / 3 < marker.max_brightness ? 1 : 0;
+        }
+        
+        const candidates = this.findConnectedComponents(darkMask, width, height, {
+            minArea: Math.max(1, Math.round(width * height * marker.min_area_ratio)),
+            collectPixels: true
+        }).filter(region => {
+            const { minX, minY, maxX, maxY } = region.bbox;
+            if (minX === 0 || minY === 0 || maxX === width - 1 || maxY === height - 1) return false;
+            const boxWidth = maxX - minX + 1;
+            const boxHeight = maxY - minY + 1;
+            const aspect = Math.max(boxWidth / boxHeight, boxHeight / boxWidth);
+            const fill = region.area / (boxWidth * boxHeight);
+            return aspect <= marker.max_aspect && Math.abs(fill - expectedFill) <= marker.fill_tolerance;
+        });
+        
+        if (candidates.length === 0) return null;
+        
+        const region = candidates[0];
+        const boxWidth = region.bbox.maxX - region.bbox.minX + 1;
+        const boxHeight = region.bbox.maxY - region.bbox.minY + 1;
+        return Object.assign(region, {
+            box: {
+                x: region.bbox.minX / width,
+                y: region.bbox.minY / height,
+                width: boxWidth / width,
+                height: boxHeight / height
+            },
+            calibration: {
+                source: 'marker',
+                mm_per_px_x: marker.size_mm / boxWidth,
+                mm_per_px_y: marker.size_mm / boxHeight
+            }
+        });
+    }
+
+    /**
+     * Colour constancy before extraction, so thresholds on absolute colour and brightness give the same
+     * answer under warm LEDs and daylight
+     * The reference colour is a grey or white card lying in the frame (when enabled and found), else
+     * gray-world over the near-neutral pixels (background, tray, paper). Saturated pixels such as the
+     * onion skin are left out, so a golden onion filling the frame is not turned grey. The reference is
+     * made neutral, and scaled to `target_brightness` when one is set (exposure as well as colour).
+     * Gains are limited to max_gain.
+     * A crop of a photo has fewer neutral pixels than the whole frame, so callers measure the correction
+     * once on the frame and pass it in for the crop; it is then applied as it is.
+     * @param {Object} [correction] - Correction returned for another view of the same photo
+     * @returns {{data: Uint8ClampedArray, correction: Object}} Corrected copy of the pixels and
+     *     { method: reference_card | gray_world | none, gains: {r, g, b}, neutral_ratio, card }
+     */
+    correctLighting(data, width, height, correction = null) {
+        if (correction) {
+            return { data: this.applyLightingGains(data, correction), correction: correction };
+        }
+        
+        const settings = this.profile.white_balance;
+        const size = width * height;
+        correction = { method: 'none', gains: { r: 1, g: 1, b: 1 }, neutral_ratio: 0, card: null };
+        if (!settings || !settings.enabled) {
+            return { data: data, correction: correction };
+        }
+
+        const saturationOf = (r, g, b) => {
+            const max = Math.max(r, g, b);
+            return max === 0 ? 0 : (max - Math.min(r, g, b)) / max;
+        };
+
+        // Mean colour of the near-neutral, unclipped pixels
+        const sum = [0, 0, 0];
+        let neutral = 0;
+        for (let i = 0; i < size; i++) {
+            const idx = i * 4;
+            const r = data[idx];
+            const g = data[idx + 1];
+            const b = data[idx + 2];
+            const brightness = (r + g + b) / 3;
+            if (brightness < 30 || Math.max(r, g, b) >= 250 || saturationOf(r, g, b) > settings.max_saturation) continue;
+            sum[0] += r;
+            sum[1] += g;
+            sum[2] += b;
+            neutral++;
+        }
+        correction.neutral_ratio = Math.round(neutral / size * 1000) / 1000;
+
+        let reference = null;
+        const card = this.findReferenceCard(data, width, height);
+        if (card) {
+            reference = card.mean;
+            correction.method = 'reference_card';
+            correction.card = card.box;
+        } else if (neutral / size >= settings.min_neutral_ratio) {
+            reference = sum.map(value => value / neutral);
+            correction.method = 'gray_world';
+        } else {
+            return { data: data, correction: correction };
+        }
+
+        const grey = settings.target_brightness || (reference[0] + reference[1] + reference[2]) / 3;
+        const limit = gain => Math.min(settings.max_gain, Math.max(1 / settings.max_gain, gain));
+        const gains = reference.map(value => limit(value > 0 ? grey / value : 1));
+        correction.gains = {
+            r: Math.round(gains[0] * 1000) / 1000,
+            g: Math.round(gains[1] * 1000) / 1000,
+            b: Math.round(gains[2] * 1000) / 1000
+        };
+        return { data: this.applyLightingGains(data, correction), correction: correction };
+    }
+
+    /**
+     * Corrected copy of the pixels with a correction's channel gains (the pixels themselves when it is 'none')
+     */
+    applyLightingGains(data, correction) {
+        if (correction.method === 'none') return data;
+        
+        const { r, g, b } = correction.gains;
+        const corrected = new Uint8ClampedArray(data.length);
+        for (let i = 0; i < data.length; i += 4) {
+            corrected[i] = data[i] * r;
+            corrected[i + 1] = data[i + 1] * g;
+            corrected[i + 2] = data[i + 2] * b;
+            corrected[i + 3] = data[i + 3];
+        }
+        return corrected;
+    }
+
+    /**
+     * Find a grey or white reference card: the largest flat, unsaturated, rectangular region clear of
+     * the image border. Pixels on a brightness step of more than max_step are left out, which separates
+     * the card from the surface it lies on; a tray or table touching the border is not a card, and a
+     * round white onion fills too little of its bounding box.
+     * @returns {Object|null} { box, mean: [r, g, b] } or null when the card is switched off or not found
+     */
+    findReferenceCard(data, width, height) {
+        const balance = this.profile.white_balance;
+        const settings = balance.reference_card;
+        if (!settings || !settings.enabled) return null;
+
+        const brightnessAt = pixel => (data[pixel * 4] + data[pixel * 4 + 1] + data[pixel * 4 + 2]) / 3;
+        const mask = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const idx = i * 4;
+                const max = Math.max(data[idx], data[idx + 1], data[idx + 2]);
+                const saturation = max === 0 ? 0 : (max - Math.min(data[idx], data[idx + 1], data[idx + 2])) / max;
+                const brightness = brightnessAt(i);
+                const flat = (x === width - 1 || Math.abs(brightnessAt(i + 1) - brightness) <= settings.max_step) &&
+                    (y === height - 1 || Math.abs(brightnessAt(i + width) - brightness) <= settings.max_step) &&
+                    (x === 0 || Math.abs(brightnessAt(i - 1) - brightness) <= settings.max_step) &&
+                    (y === 0 || Math.abs(brightnessAt(i - width) - brightness) <= settings.max_step);
+                mask[i] = flat && brightness >= settings.min_brightness && max < 250 && saturation <= balance.max_saturation ? 1 : 0;
+            }
+        }
+
+        const card = this.findConnectedComponents(mask, width, height, {
+            minArea: Math.max(1, Math.round(width * height * settings.min_area_ratio)),
+            collectPixels: true
+        }).find(region => {
+            const { minX, minY, maxX, maxY } = region.bbox;
+            if (minX === 0 || minY === 0 || maxX === width - 1 || maxY === height - 1) return false;
+            return region.area / ((maxX - minX + 1) * (maxY - minY + 1)) >= settings.min_fill;
+        });
+        if (!card) return null;
+
+        const mean = [0, 0, 0];
+        for (const pixel of card.pixels) {
+            mean[0] += data[pixel * 4];
+            mean[1] += data[pixel * 4 + 1];
+            mean[2] += data[pixel * 4 + 2];
+        }
+        return {
+            box: {
+                x: card.bbox.minX / width,
+                y: card.bbox.minY / height,
+                width: (card.bbox.maxX - card.bbox.minX + 1) / width,
+                height: (card.bbox.maxY - card.bbox.minY + 1) / height
+            },
+            mean: mean.map(value => value / card.pixels.length)
+        };
+    }
+
+    /**
+     * Correct the lighting, segment the image and choose the variety rules before any detector runs
+     * The mask belongs to the corrected pixels, so detectors must be given the returned `data`
+     * @param {Object} [lighting] - Correction measured on the whole frame (see correctLighting)
+     * @returns {{data: Uint8ClampedArray, lighting: Object, variety: Object, marker: Object|null,
+     *     segmentation: {method: string, coverage: number, onion_detected: boolean}}}
+     */
+    prepareImage(data, width, height, lighting = null) {
+        const corrected = this.correctLighting(data, width, height, lighting);
+        data = corrected.data;
+        
+        // Segmentation always uses the base profile; the variety is chosen from the onion pixels it finds
+        this.rules = this.profile;
+        const segmentation = this.segmentForeground(data, width, height);
+        this.mask = segmentation.mask;
+        this.maskData = data;
+        this.maskMethod = segmentation.method;
+        this.marker = segmentation.marker;
         
-        // Estimate real dimensions (assuming average onion is ~75mm)
-        const scaleFactor = 75 / Math.max(pixelWidth, pixelHeight);
+        const variety = this.applyVariety(data);
         
         return {
-            length_mm: Math.round(pixelHeight * scaleFactor * 10) / 10,
-            width_mm: Math.round(pixelWidth * scaleFactor * 10) / 10,
-            height_mm: Math.round(pixelWidth * scaleFactor * 10) / 10,
-            diameter_mm: Math.round(Math.max(pixelWidth, pixelHeight) * scaleFactor * 10) / 10,
-            size_class: this.classifySize(Math.max(pixelWidth, pixelHeight) * scaleFactor)
+            data: data,
+            lighting: corrected.correction,
+            variety: variety,
+            marker: segmentation.marker,
+            segmentation: {
+                method: segmentation.method,
+                coverage: Math.round(segmentation.coverage * 1000) / 1000,
+                onion_detected: segmentation.coverage >= this.profile.segmentation.min_coverage
+            }
+        };
+    }
+
+    /**
+     * Whether a pixel belongs to the onion
+     * Uses the foreground mask of the image being analysed, or the colour boxes for any other image
+     * @param {number} pixel - Pixel index (y * width + x)
+     */
+    isForeground(data, pixel) {
+        if (this.mask && this.maskData === data) {
+            return this.mask[pixel] === 1;
+        }
+        const idx = pixel * 4;
+        return this.isOnionPixel(data[idx], data[idx + 1], data[idx + 2]);
+    }
+
+    /**
+     * Build a binary mask (1 = onion pixel) for the whole image
+     * @param {Object} [options] - See segmentForeground
+     * @returns {Uint8Array} Mask with one entry per pixel
+     */
+    createOnionMask(data, width, height, options = {}) {
+        return this.segmentForeground(data, width, height, options).mask;
+    }
+
+    /**
+     * Binary mask from the profile's onion colour boxes (the original detection method)
+     * @returns {Uint8Array} Mask with one entry per pixel
+     */
+    createColorBoxMask(data, width, height) {
+        const mask = new Uint8Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            const idx = i * 4;
+            mask[i] = this.isOnionPixel(data[idx], data[idx + 1], data[idx + 2]) ? 1 : 0;
+        }
+        return mask;
+    }
+
+    /**
+     * Separate the onion(s) from the background (profile segmentation section)
+     * Pixels are grouped into colour clusters; clusters that cover the image border are background
+     * unless they are about as common in the centre of the image.
+     * When nothing stands apart from the border (an empty table or tray, or an onion filling the frame) no
+     * onion is reported: the colour boxes would take a beige table or skin tones for onion. The colour boxes
+     * are only used when the profile's segmentation method is 'color_boxes'.
+     * @param {Object} [options]
+     * @param {string} [options.seed='center'] - 'center' keeps border colours that also fill the centre;
+     *     'border' treats every colour covering the border as background (onions spread over a table)
+     * @returns {{mask: Uint8Array, method: string, coverage: number, marker: Object|null}} Mask (1 = onion), method used
+     *     (clustering, color_boxes or none), onion share of the image and the reference marker (see findReferenceMarker)
+     */
+    segmentForeground(data, width, height, options = {}) {
+        const settings = this.rules.segmentation;
+        let method = settings.method === 'clustering' ? 'clustering' : 'color_boxes';
+        let mask = null;
+        
+        if (method === 'clustering') {
+            const { labels, centers } = this.clusterColors(data, width, height, settings);
+            // A small onion off-centre leaves the table filling the centre too, so retry from the border alone
+            const seeds = options.seed === 'border' ? ['border'] : ['center', 'border'];
+            method = 'none';
+            
+            for (const seed of seeds) {
+                const background = this.findBackgroundClusters(labels, centers, width, height, settings, seed);
+                mask = new Uint8Array(width * height);
+                for (let i = 0; i < mask.length; i++) {
+                    mask[i] = background.has(labels[i]) ? 0 : 1;
+                }
+                this.refineMask(mask, width, height);
+                
+                const coverage = this.getMaskCoverage(mask);
+                if (coverage <= settings.max_coverage && (coverage >= settings.min_coverage || seed === seeds[seeds.length - 1])) {
+                    method = 'clustering';
+                    break;
+                }
+            }
+            
+            // No seed bounds a foreground: nothing in the frame is an onion
+            if (method === 'none') {
+                mask = new Uint8Array(width * height);
+            }
+        } else {
+            mask = this.createColorBoxMask(data, width, height);
+        }
+        
+        // The reference marker is never part of an onion
+        const marker = this.findReferenceMarker(data, width, height);
+        if (marker) {
+            for (const pixel of marker.pixels) mask[pixel] = 0;
+        }
+        
+        return { mask: mask, method: method, coverage: this.getMaskCoverage(mask), marker: marker };
+    }
+
+    /**
+     * Share of mask pixels set to 1
+     */
+    getMaskCoverage(mask) {
+        let count = 0;
+        for (let i = 0; i < mask.length; i++) {
+            count += mask[i];
+        }
+        return mask.length > 0 ? count / mask.length : 0;
+    }
+
+    /**
+     * Group pixels into colour clusters (k-means in RGB on a grid of samples)
+     * Starting centres are picked deterministically (farthest point), so the same image always gives the same mask
+     * @returns {{labels: Uint8Array, centers: number[][]}} Cluster index per pixel and the [r, g, b] centre of each cluster
+     */
+    clusterColors(data, width, height, settings) {
+        const step = Math.max(1, settings.sample_step);
+        const samples = [];
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                samples.push((y * width + x) * 4);
+            }
+        }
+        
+        // First centre: median-brightness sample; then repeatedly the sample farthest from every centre
+        const byBrightness = samples.slice().sort((a, b) =>
+            (data[a] + data[a + 1] + data[a + 2]) - (data[b] + data[b + 1] + data[b + 2]));
+        const median = byBrightness[Math.floor(byBrightness.length / 2)];
+        let centers = [[data[median], data[median + 1], data[median + 2]]];
+        const nearestDistance = samples.map(idx => this.colorDistance(data, idx, centers[0]));
+        
+        while (centers.length < settings.clusters) {
+            let farthest = 0;
+            for (let s = 1; s < samples.length; s++) {
+                if (nearestDistance[s] > nearestDistance[farthest]) farthest = s;
+            }
+            // Fewer distinct colours than clusters
+            if (nearestDistance[farthest] === 0) break;
+            
+            const idx = samples[farthest];
+            const center = [data[idx], data[idx + 1], data[idx + 2]];
+            centers.push(center);
+            samples.forEach((sample, s) => {
+                nearestDistance[s] = Math.min(nearestDistance[s], this.colorDistance(data, sample, center));
+            });
+        }
+        
+        for (let iteration = 0; iteration < settings.iterations; iteration++) {
+            const sums = centers.map(() => [0, 0, 0, 0]);
+            for (const idx of samples) {
+                const sum = sums[this.nearestCluster(data, idx, centers)];
+                sum[0] += data[idx];
+                sum[1] += data[idx + 1];
+                sum[2] += data[idx + 2];
+                sum[3]++;
+            }
+            
+            let moved = false;
+            centers = centers.map((center, c) => {
+                const [r, g, b, count] = sums[c];
+                if (count === 0) return center;
+                const updated = [r / count, g / count, b / count];
+                if (Math.abs(updated[0] - center[0]) + Math.abs(updated[1] - center[1]) + Math.abs(updated[2] - center[2]) > 1) {
+                    moved = true;
+                }
+                return updated;
+            });
+            if (!moved) break;
+        }
+        
+        const labels = new Uint8Array(width * height);
+        for (let i = 0; i < labels.length; i++) {
+            labels[i] = this.nearestCluster(data, i * 4, centers);
+        }
+        return { labels: labels, centers: centers };
+    }
+
+    /**
+     * Squared RGB distance between a pixel and a colour
+     */
+    colorDistance(data, idx, color) {
+        const dr = data[idx] - color[0];
+        const dg = data[idx + 1] - color[1];
+        const db = data[idx + 2] - color[2];
+        return dr * dr + dg * dg + db * db;
+    }
+
+    /**
+     * Index of the closest cluster centre to a pixel
+     */
+    nearestCluster(data, idx, centers) {
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let c = 0; c < centers.length; c++) {
+            const distance = this.colorDistance(data, idx, centers[c]);
+            if (distance < bestDistance) {
+                best = c;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Decide which colour clusters are background
+     * A cluster is background when it covers at least background_border_share of the border ring and,
+     * for the 'center' seed, covers less than center_keep_ratio times that share of the centre window.
+     * Clusters within min_contrast (RGB distance) of a background cluster are background too: k-means also
+     * splits the noise and shading of one plain surface, and those shades are not an onion.
+     * @returns {Set<number>} Background cluster indices
+     */
+    findBackgroundClusters(labels, centers, width, height, settings, seed) {
+        const border = Math.max(1, Math.round(Math.min(width, height) * settings.border_ratio));
+        const centerWidth = Math.round(width * settings.center_ratio);
+        const centerHeight = Math.round(height * settings.center_ratio);
+        const centerX = Math.floor((width - centerWidth) / 2);
+        const centerY = Math.floor((height - centerHeight) / 2);
+        
+        const borderCounts = new Array(settings.clusters).fill(0);
+        const centerCounts = new Array(settings.clusters).fill(0);
+        const present = new Set();
+        let borderTotal = 0;
+        let centerTotal = 0;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const label = labels[y * width + x];
+                present.add(label);
+                if (x < border || y < border || x >= width - border || y >= height - border) {
+                    borderCounts[label]++;
+                    borderTotal++;
+                } else if (x >= centerX && x < centerX + centerWidth && y >= centerY && y < centerY + centerHeight) {
+                    centerCounts[label]++;
+                    centerTotal++;
+                }
+            }
+        }
+        
+        const background = new Set();
+        for (const label of present) {
+            const borderShare = borderCounts[label] / borderTotal;
+            const centerShare = centerTotal > 0 ? centerCounts[label] / centerTotal : 0;
+            if (borderShare < settings.background_border_share) continue;
+            if (seed === 'center' && centerShare >= borderShare * settings.center_keep_ratio) continue;
+            background.add(label);
+        }
+        
+        // Every colour reaches the border (a single close-up onion): judge it from the centre instead
+        if (seed === 'border' && background.size === present.size) {
+            return this.findBackgroundClusters(labels, centers, width, height, settings, 'center');
+        }
+        
+        const minDistance = settings.min_contrast * settings.min_contrast;
+        const backgroundCenters = [...background].map(label => centers[label]);
+        for (const label of present) {
+            const [r, g, b] = centers[label];
+            if (backgroundCenters.some(center => (r - center[0]) ** 2 + (g - center[1]) ** 2 + (b - center[2]) ** 2 < minDistance)) {
+                background.add(label);
+            }
+        }
+        
+        return background;
+    }
+
+    /**
+     * Clean up a foreground mask in place:
+     * majority smoothing, filling holes (dark spots, lesions) and dropping specks below multi_onion.min_area_ratio
+     */
+    refineMask(mask, width, height) {
+        const passes = this.rules.segmentation.smoothing_passes;
+        for (let pass = 0; pass < passes; pass++) {
+            const source = mask.slice();
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let foreground = 0;
+                    let neighbors = 0;
+                    for (let dy = -1; dy <= 1; dy++) {
+                        const ny = y + dy;
+                        if (ny < 0 || ny >= height) continue;
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const nx = x + dx;
+                            if (nx < 0 || nx >= width) continue;
+                            foreground += source[ny * width + nx];
+                            neighbors++;
+                        }
+                    }
+                    mask[y * width + x] = foreground * 2 > neighbors ? 1 : 0;
+                }
+            }
+        }
+        
+        this.fillHoles(mask, width, height);
+        
+        const minArea = Math.round(width * height * this.rules.multi_onion.min_area_ratio);
+        for (const region of this.findConnectedComponents(mask, width, height, { maxArea: minArea - 1, collectPixels: true })) {
+            for (const pixel of region.pixels) mask[pixel] = 0;
+        }
+    }
+
+    /**
+     * Label connected regions of a binary mask (8-connectivity)
+     * @param {Uint8Array} mask - 1 for foreground pixels
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} [options]
+     * @param {number} [options.minArea=1] - Smallest region kept (pixels)
+     * @param {number} [options.maxArea=Infinity] - Largest region kept (pixels)
+     * @param {boolean} [options.collectPixels=false] - Also return each region's pixel indices in `pixels`
+     * @returns {Array<Object>} Regions { area, centroid: {x, y}, bbox: {minX, minY, maxX, maxY} }, largest first
+     */
+    findConnectedComponents(mask, width, height, options = {}) {
+        const minArea = options.minArea !== undefined ? options.minArea : 1;
+        const maxArea = options.maxArea !== undefined ? options.maxArea : Infinity;
+        const visited = new Uint8Array(width * height);
+        const stack = new Int32Array(width * height);
+        const components = [];
+        
+        for (let start = 0; start < mask.length; start++) {
+            if (!mask[start] || visited[start]) continue;
+            
+            let top = 0;
+            stack[top++] = start;
+            visited[start] = 1;
+            
+            let area = 0, sumX = 0, sumY = 0;
+            let minX = width, maxX = 0, minY = height, maxY = 0;
+            const pixels = options.collectPixels ? [] : null;
+            
+            while (top > 0) {
+                const index = stack[--top];
+                if (pixels) pixels.push(index);
+                const x = index % width;
+                const y = (index - x) / width;
+                
+                area++;
+                sumX += x;
+                sumY += y;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+                
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = y + dy;
+                    if (ny < 0 || ny >= height) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        if (nx < 0 || nx >= width || (dx === 0 && dy === 0)) continue;
+                        const neighbor = ny * width + nx;
+                        if (mask[neighbor] && !visited[neighbor]) {
+                            visited[neighbor] = 1;
+                            stack[top++] = neighbor;
+                        }
+                    }
+                }
+            }
+            
+            if (area >= minArea && area <= maxArea) {
+                const component = {
+                    area: area,
+                    centroid: { x: sumX / area, y: sumY / area },
+                    bbox: { minX, minY, maxX, maxY }
+                };
+                if (pixels) component.pixels = pixels;
+                components.push(component);
+            }
+        }
+        
+        return components.sort((a, b) => b.area - a.area);
+    }
+
+    /**
+     * Find each separate onion in the frame
+     * Regions smaller than minAreaRatio of the frame are treated as noise
+     * @param {Object} [options] - { minAreaRatio, lighting } (lighting: see correctLighting)
+     * @returns {Array<Object>} Regions with bbox normalised to 0-1 in `box` ({x, y, width, height})
+     */
+    detectOnions(data, width, height, options = {}) {
+        const minAreaRatio = options.minAreaRatio || this.profile.multi_onion.min_area_ratio;
+        data = this.correctLighting(data, width, height, options.lighting).data;
+        
+        // The onions in the frame may be of different varieties, so the base profile decides
+        this.rules = this.profile;
+        
+        // Onions may sit anywhere in the frame, so only the border decides what is background
+        const mask = this.createOnionMask(data, width, height, { seed: 'border' });
+        const regions = this.findConnectedComponents(mask, width, height, {
+            minArea: Math.max(1, Math.round(width * height * minAreaRatio))
+        });
+        
+        return regions.map(region => Object.assign(region, {
+            box: {
+                x: region.bbox.minX / width,
+                y: region.bbox.minY / height,
+                width: (region.bbox.maxX - region.bbox.minX + 1) / width,
+                height: (region.bbox.maxY - region.bbox.minY + 1) / height
+            }
+        }));
+    }
+
+    /**
+     * Normalised bounding box of the onion (largest region), or null when no onion is found
+     * @param {Object} [lighting] - See prepareImage
+     */
+    findOnionBox(data, width, height, lighting = null) {
+        const prepared = this.prepareImage(data, width, height, lighting);
+        const region = prepared.segmentation.onion_detected ? this.getOnionRegion(prepared.data, width, height) : null;
+        if (!region) return null;
+
+        return {
+            x: region.bbox.minX / width,
+            y: region.bbox.minY / height,
+            width: (region.bbox.maxX - region.bbox.minX + 1) / width,
+            height: (region.bbox.maxY - region.bbox.minY + 1) / height
+        };
+    }
+
+    /**
+     * Padded square around a normalised box, in image pixels
+     * A square crop drawn into the square model input keeps the onion's aspect ratio. The square is
+     * shifted to stay inside the image; only when it is larger than the image does it reach past the
+     * edges, and that part is filled when the crop is drawn (drawSquareCrop)
+     * @param {Object} box - Normalised box {x, y, width, height}
+     * @param {number} sourceWidth - Image width in pixels
+     * @param {number} sourceHeight - Image height in pixels
+     * @param {number} [padding=0.1] - Margin on each side, as a fraction of the box's longer side
+     * @returns {Object} { x, y, width, height } with width === height
+     */
+    getSquareCrop(box, sourceWidth, sourceHeight, padding = 0.1) {
+        const boxWidth = box.width * sourceWidth;
+        const boxHeight = box.height * sourceHeight;
+        const side = Math.max(boxWidth, boxHeight) * (1 + 2 * padding);
+
+        const place = (start, length, size) => {
+            if (side >= size) return (size - side) / 2;
+            return Math.min(Math.max(0, start + length / 2 - side / 2), size - side);
+        };
+        return {
+            x: place(box.x * sourceWidth, boxWidth, sourceWidth),
+            y: place(box.y * sourceHeight, boxHeight, sourceHeight),
+            width: side,
+            height: side
+        };
+    }
+
+    /**
+     * Mean colour of the outermost pixels, used to fill crop areas outside the image
+     * @returns {number[]} [r, g, b]
+     */
+    getBorderColor(data, width, height) {
+        const sum = [0, 0, 0];
+        let count = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (x !== 0 && y !== 0 && x !== width - 1 && y !== height - 1) continue;
+                const i = (y * width + x) * 4;
+                sum[0] += data[i];
+                sum[1] += data[i + 1];
+                sum[2] += data[i + 2];
+                count++;
+            }
+        }
+        return sum.map(value => Math.round(value / count));
+    }
+
+    /**
+     * Draw a square crop (getSquareCrop) into a size x size canvas without stretching
+     * @param {HTMLImageElement|HTMLCanvasElement} imageElement - Full image
+     * @param {Object} rect - Square { x, y, width, height } in image pixels
+     * @param {number} [size=224] - Output size in pixels
+     * @param {number[]} [fill] - [r, g, b] for parts of the crop outside the image
+     * @returns {HTMLCanvasElement}
+     */
+    drawSquareCrop(imageElement, rect, size = 224, fill = [255, 255, 255]) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = `rgb(${fill[0]}, ${fill[1]}, ${fill[2]})`;
+        ctx.fillRect(0, 0, size, size);
+
+        // Clip the crop to the image so browsers that reject out-of-bounds source rectangles still draw it
+        const sourceWidth = imageElement.naturalWidth || imageElement.videoWidth || imageElement.width;
+        const sourceHeight = imageElement.naturalHeight || imageElement.videoHeight || imageElement.height;
+        const x0 = Math.max(0, rect.x);
+        const y0 = Math.max(0, rect.y);
+        const x1 = Math.min(sourceWidth, rect.x + rect.width);
+        const y1 = Math.min(sourceHeight, rect.y + rect.height);
+        const scale = size / rect.width;
+        ctx.drawImage(imageElement, x0, y0, x1 - x0, y1 - y0,
+            (x0 - rect.x) * scale, (y0 - rect.y) * scale, (x1 - x0) * scale, (y1 - y0) * scale);
+        return canvas;
+    }
+
+    /**
+     * Frame an image for analysis: a padded square around the onion, drawn without stretching
+     * Without an onion the whole image is letterboxed into the square instead
+     * @param {HTMLImageElement|HTMLCanvasElement} imageElement - Full image
+     * @param {number} [size=224] - Output size in pixels
+     * @param {number} [padding=0.1] - See getSquareCrop
+     * @param {Object} [lighting] - White balance of the whole image at 224x224; measured here when omitted
+     * @returns {{canvas: HTMLCanvasElement, rect: Object, onion_found: boolean, lighting: Object}} Framed image,
+     *     the crop in image pixels and the white balance to analyse the crop with
+     */
+    frameImage(imageElement, size = 224, padding = 0.1, lighting = null) {
+        const overview = document.createElement('canvas');
+        overview.width = 224;
+        overview.height = 224;
+        overview.getContext('2d').drawImage(imageElement, 0, 0, 224, 224);
+        const data = overview.getContext('2d').getImageData(0, 0, 224, 224).data;
+
+        const sourceWidth = imageElement.naturalWidth || imageElement.videoWidth || imageElement.width;
+        const sourceHeight = imageElement.naturalHeight || imageElement.videoHeight || imageElement.height;
+        lighting = lighting || this.correctLighting(data, 224, 224).correction;
+        const box = this.findOnionBox(data, 224, 224, lighting);
+        const rect = box
+            ? this.getSquareCrop(box, sourceWidth, sourceHeight, padding)
+            : this.getSquareCrop({ x: 0, y: 0, width: 1, height: 1 }, sourceWidth, sourceHeight, 0);
+
+        return {
+            canvas: this.drawSquareCrop(imageElement, rect, size, this.getBorderColor(data, 224, 224)),
+            rect: rect,
+            onion_found: box !== null,
+            lighting: lighting
         };
     }
 
@@ -123,119 +1339,340 @@ class OnionFeatureExtractor {
      * Classify onion size based on diameter
      */
     classifySize(diameter) {
-        if (diameter < 50) return 'Small';
-        if (diameter < 75) return 'Medium';
-        if (diameter < 100) return 'Large';
+        const sizes = this.rules.dimensions.size_classes_mm;
+        if (diameter < sizes.small) return 'Small';
+        if (diameter < sizes.medium) return 'Medium';
+        if (diameter < sizes.large) return 'Large';
         return 'Extra Large';
     }
 
     /**
-     * Count black spots on onion surface
+     * Market size grade for a diameter (largest grade whose minimum is met)
      */
-    countBlackSpots(data) {
-        const width = 224;
-        const height = 224;
-        let darkSpotPixels = 0;
-        let onionPixels = 0;
+    classifyMarketGrade(diameter) {
+        const grade = this.rules.dimensions.market_grades_mm
+            .slice()
+            .sort((a, b) => b.min - a.min)
+            .find(step => diameter >= step.min);
+        return grade ? grade.grade : 'Undersize';
+    }
+
+    /**
+     * Largest onion region with its holes filled, for shape measurements
+     * @returns {Object|null} Region from findConnectedComponents (with pixels), or null without onion pixels
+     */
+    getOnionRegion(data, width, height) {
+        const mask = new Uint8Array(width * height);
+        for (let i = 0; i < mask.length; i++) {
+            mask[i] = this.isForeground(data, i) ? 1 : 0;
+        }
+        this.fillHoles(mask, width, height);
+        
+        const regions = this.findConnectedComponents(mask, width, height, { collectPixels: true });
+        return regions.length > 0 ? regions[0] : null;
+    }
+
+    /**
+     * Shape of the onion outline from second-order image moments (equivalent ellipse)
+     * Coordinates are converted to mm on each axis first, so photos stretched to 224x224 keep their true shape
+     * @param {Object} region - Onion region with pixels (getOnionRegion)
+     * @param {Object} scale - { mm_per_px_x, mm_per_px_y } (dimensions.calibration)
+     * @returns {Object} { axis_ratio, orientation_deg, solidity, centroid, axis: [x, y] unit vector in mm space }
+     */
+    analyzeShape(region, width, height, scale) {
+        const sx = scale.mm_per_px_x;
+        const sy = scale.mm_per_px_y;
+        const { x: cx, y: cy } = region.centroid;
+        let mu20 = 0, mu02 = 0, mu11 = 0;
+        
+        for (const pixel of region.pixels) {
+            const x = pixel % width;
+            const dx = (x - cx) * sx;
+            const dy = ((pixel - x) / width - cy) * sy;
+            mu20 += dx * dx;
+            mu02 += dy * dy;
+            mu11 += dx * dy;
+        }
+        mu20 /= region.area;
+        mu02 /= region.area;
+        mu11 /= region.area;
+        
+        // Eigenvalues of the covariance matrix are the squared semi-axes of the ellipse (up to a constant)
+        const mean = (mu20 + mu02) / 2;
+        const spread = Math.sqrt(((mu20 - mu02) / 2) ** 2 + mu11 ** 2);
+        const major = mean + spread;
+        const minor = Math.max(mean - spread, 1e-9);
+        const angle = 0.5 * Math.atan2(2 * mu11, mu20 - mu02);
+        
+        return {
+            axis_ratio: Math.round(Math.sqrt(major / minor) * 100) / 100,
+            orientation_deg: Math.round(angle * 180 / Math.PI),
+            solidity: Math.round(region.area / this.convexHullArea(region, width, height) * 1000) / 1000,
+            centroid: region.centroid,
+            axis: [Math.cos(angle), Math.sin(angle)]
+        };
+    }
+
+    /**
+     * Area of the convex hull around a region's pixels (each pixel counted as a full square)
+     */
+    convexHullArea(region, width, height) {
+        // Only the leftmost and rightmost pixel of each row can be on the hull
+        const left = new Int32Array(height).fill(width);
+        const right = new Int32Array(height).fill(-1);
+        for (const pixel of region.pixels) {
+            const x = pixel % width;
+            const y = (pixel - x) / width;
+            if (x < left[y]) left[y] = x;
+            if (x > right[y]) right[y] = x;
+        }
+        
+        const points = [];
+        for (let y = 0; y < height; y++) {
+            if (right[y] < 0) continue;
+            points.push([left[y], y], [left[y], y + 1], [right[y] + 1, y], [right[y] + 1, y + 1]);
+        }
+        points.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        
+        // Monotone chain
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const lower = [];
+        const upper = [];
+        for (const point of points) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+            lower.push(point);
+        }
+        for (let i = points.length - 1; i >= 0; i--) {
+            const point = points[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+            upper.push(point);
+        }
+        const hull = lower.slice(0, -1).concat(upper.slice(0, -1));
+        
+        // Shoelace formula
+        let area = 0;
+        for (let i = 0; i < hull.length; i++) {
+            const [x1, y1] = hull[i];
+            const [x2, y2] = hull[(i + 1) % hull.length];
+            area += x1 * y2 - x2 * y1;
+        }
+        return Math.max(Math.abs(area) / 2, region.area);
+    }
+
+    /**
+     * Firmness proxy (5=very firm to 1=very soft)
+     * A camera cannot press the onion. Soft, dehydrated or rotting bulbs sag and dent, so the outline
+     * stops being convex: the score steps down with solidity (onion area / convex hull area)
+     * at the profile's firmness.solidity_steps.
+     * @returns {{score: number, basis: Object}} Score and how it was derived
+     */
+    estimateFirmness(shape) {
+        const steps = this.rules.firmness.solidity_steps;
+        const below = steps.filter(step => shape.solidity < step).length;
+        return {
+            score: 5 - below,
+            basis: { method: 'outline solidity (area / convex hull area)', solidity: shape.solidity }
+        };
+    }
+
+    /**
+     * Colour uniformity from the spread of hue over the onion
+     * Pixels with chroma below color_uniformity.min_chroma are neutral (white/grey).
+     * Mostly-neutral onions (white varieties) are uniform where they stay neutral; otherwise a pixel is
+     * uniform when its hue is within hue_tolerance_deg of the chroma-weighted circular mean hue.
+     * @returns {{color_uniformity: number, hue_std_deg: number|null}} Uniform share (0-100%) and circular hue std dev
+     */
+    analyzeColorUniformity(data) {
+        const settings = this.rules.color_uniformity;
+        const hues = [];
+        let sumCos = 0, sumSin = 0, totalChroma = 0;
+        let total = 0;
         
-        // Count dark pixels on onion surface
         for (let i = 0; i < data.length; i += 4) {
+            if (!this.isForeground(data, i / 4)) continue;
+            total++;
+            
             const r = data[i];
             const g = data[i + 1];
             const b = data[i + 2];
+            const max = Math.max(r, g, b);
+            const chroma = max - Math.min(r, g, b);
+            if (chroma < settings.min_chroma) continue;
             
-            if (this.isOnionPixel(r, g, b)) {
-                onionPixels++;
-                
-                const brightness = (r + g + b) / 3;
-                
-                // Dark spots: significantly darker than normal onion
-                // Normal onion brightness: 100-180
-                // Dark spots: < 80
-                if (brightness < 80 && brightness > 20) {
-                    darkSpotPixels++;
-                }
-            }
+            let hue;
+            if (max === r) hue = ((g - b) / chroma + 6) % 6;
+            else if (max === g) hue = (b - r) / chroma + 2;
+            else hue = (r - g) / chroma + 4;
+            hue *= Math.PI / 3;
+            
+            hues.push(hue);
+            sumCos += chroma * Math.cos(hue);
+            sumSin += chroma * Math.sin(hue);
+            totalChroma += chroma;
         }
         
-        if (onionPixels === 0) return 0;
+        if (total === 0) return { color_uniformity: null, hue_std_deg: null };
         
-        // Calculate dark spot ratio
-        const darkRatio = darkSpotPixels / onionPixels;
-        
-        // Map ratio to spot count (0-21 range as per notebook)
-        // Fresh onion: 0-2 spots (< 2% dark pixels)
-        // Moderate: 3-8 spots (2-8% dark pixels)
-        // Poor: 9-21 spots (> 8% dark pixels)
-        let spotCount;
-        if (darkRatio < 0.02) {
-            spotCount = Math.floor(darkRatio * 100); // 0-2 spots
-        } else if (darkRatio < 0.08) {
-            spotCount = 2 + Math.floor((darkRatio - 0.02) * 100); // 2-8 spots
-        } else {
-            spotCount = 8 + Math.floor((darkRatio - 0.08) * 150); // 8-21 spots
+        const neutral = total - hues.length;
+        let hueStd = null;
+        let uniform = neutral;
+        
+        if (hues.length > 0) {
+            const resultant = Math.sqrt(sumCos * sumCos + sumSin * sumSin) / totalChroma;
+            hueStd = Math.round(Math.sqrt(-2 * Math.log(Math.max(resultant, 1e-9))) * 180 / Math.PI * 10) / 10;
+            
+            if (neutral * 2 < total) {
+                const meanHue = Math.atan2(sumSin, sumCos);
+                const tolerance = settings.hue_tolerance_deg * Math.PI / 180;
+                uniform = hues.filter(hue => {
+                    const difference = Math.abs(Math.atan2(Math.sin(hue - meanHue), Math.cos(hue - meanHue)));
+                    return difference <= tolerance;
+                }).length;
+            }
         }
         
-        return Math.min(21, Math.max(0, spotCount));
+        return { color_uniformity: Math.round(uniform / total * 100), hue_std_deg: hueStd };
     }
 
     /**
-     * Flood fill algorithm to detect connected dark regions
+     * Condition of the two poles of the bulb (ends of the major axis)
+     * The end that tapers more (fewer onion pixels in its band) is taken as the neck, the other as the root plate.
+     * A pole's defect ratio is the share of its pixels that are dark (rot, mould) or green (open, sprouting neck).
+     * Expects a side view of the bulb.
+     * @returns {{neck: Object, root: Object}} Each { condition: 'Good'|'Fair'|'Poor', defect_ratio }
      */
-    floodFill(data, startX, startY, width, height, visited) {
-        const stack = [[startX, startY]];
-        let count = 0;
+    analyzePoles(data, region, shape, width, scale) {
+        const settings = this.rules.poles;
+        const { x: cx, y: cy } = shape.centroid;
+        const [ax, ay] = shape.axis;
+        
+        // Position of every pixel along the major axis (mm)
+        const positions = new Float64Array(region.pixels.length);
+        let minT = Infinity, maxT = -Infinity;
+        region.pixels.forEach((pixel, i) => {
+            const x = pixel % width;
+            const t = (x - cx) * scale.mm_per_px_x * ax + ((pixel - x) / width - cy) * scale.mm_per_px_y * ay;
+            positions[i] = t;
+            if (t < minT) minT = t;
+            if (t > maxT) maxT = t;
+        });
         
-        while (stack.length > 0) {
-            const [x, y] = stack.pop();
-            const key = `${x},${y}`;
+        const band = (maxT - minT) * settings.pole_fraction;
+        const ends = [{ pixels: 0, defects: 0 }, { pixels: 0, defects: 0 }];
+        region.pixels.forEach((pixel, i) => {
+            const end = positions[i] <= minT + band ? ends[0] : (positions[i] >= maxT - band ? ends[1] : null);
+            if (!end) return;
             
-            if (visited.has(key) || x < 0 || x >= width || y < 0 || y >= height) {
-                continue;
+            const idx = pixel * 4;
+            const r = data[idx];
+            const g = data[idx + 1];
+            const b = data[idx + 2];
+            end.pixels++;
+            if ((r + g + b) / 3 < settings.dark_brightness || this.isSproutPixel(r, g, b)) {
+                end.defects++;
             }
-            
-            const idx = (y * width + x) * 4;
+        });
+        
+        const describe = end => {
+            const ratio = end.pixels > 0 ? end.defects / end.pixels : 0;
+            const condition = ratio >= settings.poor_ratio ? 'Poor' : (ratio >= settings.fair_ratio ? 'Fair' : 'Good');
+            return { condition: condition, defect_ratio: Math.round(ratio * 1000) / 1000 };
+        };
+        
+        const [neck, root] = ends[0].pixels <= ends[1].pixels ? ends : [ends[1], ends[0]];
+        return { neck: describe(neck), root: describe(root) };
+    }
+
+    /**
+     * Fill background regions of a mask that do not reach the image border (holes in an onion)
+     */
+    fillHoles(mask, width, height) {
+        const inverted = mask.map(value => 1 - value);
+        for (const region of this.findConnectedComponents(inverted, width, height, { collectPixels: true })) {
+            const { minX, minY, maxX, maxY } = region.bbox;
+            if (minX > 0 && minY > 0 && maxX < width - 1 && maxY < height - 1) {
+                for (const pixel of region.pixels) mask[pixel] = 1;
+            }
+        }
+    }
+
+    /**
+     * Count black spots on onion surface
+     */
+    countBlackSpots(data, width = 224, height = 224) {
+        return this.findBlackSpots(data, width, height).length;
+    }
+
+    /**
+     * Find black spots as connected dark regions on the onion surface
+     * A spot is a blob of dark pixels inside the onion mask (profile black_spots.brightness, default 20-80)
+     * between minArea and maxArea pixels.
+     * Blobs touching the image border are background shadows, not spots.
+     * @param {Object} [options] - { minArea, maxArea } overriding the extractor defaults, plus collectPixels
+     * @returns {Array<Object>} Spots { area, centroid: {x, y}, bbox, box } with box normalised to 0-1
+     */
+    findBlackSpots(data, width = 224, height = 224, options = {}) {
+        const settings = this.rules.black_spots;
+        const minArea = options.minArea !== undefined ? options.minArea : settings.min_area;
+        const maxArea = options.maxArea !== undefined ? options.maxArea : settings.max_area;
+        const [minBrightness, maxBrightness] = settings.brightness;
+        
+        const darkMask = new Uint8Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            const idx = i * 4;
             const r = data[idx];
             const g = data[idx + 1];
             const b = data[idx + 2];
             const brightness = (r + g + b) / 3;
             
-            if (brightness >= 60) continue;
-            
-            visited.add(key);
-            count++;
-            
-            // Add neighbors (4-connectivity)
-            if (count < 100) { // Limit cluster size check
-                stack.push([x + 1, y]);
-                stack.push([x - 1, y]);
-                stack.push([x, y + 1]);
-                stack.push([x, y - 1]);
+            // Dark spots: significantly darker than normal onion (100-180), inside the onion.
+            // The colour-box mask leaves dark pixels out, so it needs its own dark-tone rule.
+            const onOnion = this.maskMethod === 'clustering' && this.maskData === data
+                ? this.mask[i] === 1
+                : this.isOnionPixel(r, g, b, true);
+            if (brightness < maxBrightness && brightness > minBrightness && onOnion) {
+                darkMask[i] = 1;
             }
         }
         
-        return count;
+        // The reference marker is dark too, but it is not a spot
+        if (this.marker && this.maskData === data) {
+            for (const pixel of this.marker.pixels) darkMask[pixel] = 0;
+        }
+        
+        const spots = this.findConnectedComponents(darkMask, width, height, {
+            minArea, maxArea, collectPixels: options.collectPixels
+        })
+            .filter(spot => spot.bbox.minX > 0 && spot.bbox.minY > 0 &&
+                            spot.bbox.maxX < width - 1 && spot.bbox.maxY < height - 1);
+        
+        return spots.map(spot => Object.assign(spot, {
+            box: {
+                x: spot.bbox.minX / width,
+                y: spot.bbox.minY / height,
+                width: (spot.bbox.maxX - spot.bbox.minX + 1) / width,
+                height: (spot.bbox.maxY - spot.bbox.minY + 1) / height
+            }
+        }));
     }
 
     /**
      * Analyze surface texture (1=smooth to 4=very soft)
      */
-    analyzeSurfaceTexture(data) {
-        const width = 224;
-        const height = 224;
+    analyzeSurfaceTexture(data, width = 224, height = 224) {
         let totalVariance = 0;
         let samples = 0;
         
         // Calculate local variance as texture indicator
         for (let y = 1; y < height - 1; y++) {
             for (let x = 1; x < width - 1; x++) {
+                if (!this.isForeground(data, y * width + x)) continue;
+                
                 const idx = (y * width + x) * 4;
                 const r = data[idx];
                 const g = data[idx + 1];
                 const b = data[idx + 2];
                 
-                if (!this.isOnionPixel(r, g, b)) continue;
-                
                 const centerBrightness = (r + g + b) / 3;
                 
                 // Check 4 neighbors
@@ -268,9 +1705,10 @@ class OnionFeatureExtractor {
         
         // Map variance to texture score (1-4)
         // Low variance = smooth, high variance = rough/wrinkled
-        if (avgVariance < 10) return 1; // Smooth
-        if (avgVariance < 20) return 2; // Slightly wrinkled
-        if (avgVariance < 35) return 3; // Wrinkled
+        const [smooth, slightlyWrinkled, wrinkled] = this.rules.texture.variance_steps;
+        if (avgVariance < smooth) return 1; // Smooth
+        if (avgVariance < slightlyWrinkled) return 2; // Slightly wrinkled
+        if (avgVariance < wrinkled) return 3; // Wrinkled
         return 4; // Very soft/deteriorated
     }
 
@@ -314,6 +1752,8 @@ class OnionFeatureExtractor {
      * Analyze skin condition (1=excellent to 5=poor)
      */
     analyzeSkinCondition(data) {
+        const skin = this.rules.skin;
+        const isHealthyTone = SKIN_TONES[skin.good_pixel.tone] || SKIN_TONES.golden;
         let totalBrightness = 0;
         let totalSaturation = 0;
         let goodSkinPixels = 0;
@@ -321,12 +1761,12 @@ class OnionFeatureExtractor {
         let samples = 0;
         
         for (let i = 0; i < data.length; i += 4) {
+            if (!this.isForeground(data, i / 4)) continue;
+            
             const r = data[i];
             const g = data[i + 1];
             const b = data[i + 2];
             
-            if (!this.isOnionPixel(r, g, b)) continue;
-            
             const brightness = (r + g + b) / 3;
             const maxColor = Math.max(r, g, b);
             const minColor = Math.min(r, g, b);
@@ -336,13 +1776,13 @@ class OnionFeatureExtractor {
             totalSaturation += saturation;
             samples++;
             
-            // Good skin: bright, saturated, golden color
-            if (brightness > 120 && saturation > 0.25 && r > g && g > b) {
+            // Good skin: bright, saturated, expected colour for the variety (golden by default)
+            if (brightness > skin.good_pixel.min_brightness && saturation > skin.good_pixel.min_saturation && isHealthyTone(r, g, b)) {
                 goodSkinPixels++;
             }
             
             // Poor skin: dark, low saturation
-            if (brightness < 80 || saturation < 0.15) {
+            if (brightness < skin.poor_pixel.max_brightness || saturation < skin.poor_pixel.max_saturation) {
                 poorSkinPixels++;
             }
         }
@@ -355,19 +1795,55 @@ class OnionFeatureExtractor {
         const poorRatio = poorSkinPixels / samples;
         
         // Score based on multiple factors
-        if (goodRatio > 0.4 && avgBrightness > 130 && avgSaturation > 0.30) {
+        const { excellent, good, fair, poor } = skin;
+        if (goodRatio > excellent.min_good_ratio && avgBrightness > excellent.min_brightness && avgSaturation > excellent.min_saturation) {
             return 1; // Excellent
-        } else if (goodRatio > 0.25 && avgBrightness > 110 && avgSaturation > 0.25) {
+        } else if (goodRatio > good.min_good_ratio && avgBrightness > good.min_brightness && avgSaturation > good.min_saturation) {
             return 2; // Good
-        } else if (poorRatio < 0.3 && avgBrightness > 90) {
+        } else if (poorRatio < fair.max_poor_ratio && avgBrightness > fair.min_brightness) {
             return 3; // Fair
-        } else if (poorRatio < 0.5 || avgBrightness > 70) {
+        } else if (poorRatio < poor.max_poor_ratio || avgBrightness > poor.min_brightness) {
             return 4; // Poor
         } else {
             return 5; // Very poor
         }
     }
 
+    /**
+     * Bruised pixel: darker than normal, brownish/reddish tone
+     */
+    isBruisePixel(r, g, b) {
+        const brightness = (r + g + b) / 3;
+        const [minBrightness, maxBrightness] = this.rules.bruises.brightness;
+        return brightness >= minBrightness && brightness < maxBrightness && r >= g && r >= b;
+    }
+
+    /**
+     * Lesion pixel: very dark, grayish, low saturation (soft rot)
+     */
+    isLesionPixel(r, g, b) {
+        const brightness = (r + g + b) / 3;
+        const maxColor = Math.max(r, g, b);
+        const minColor = Math.min(r, g, b);
+        const saturation = maxColor === 0 ? 0 : (maxColor - minColor) / maxColor;
+        return brightness < this.rules.lesions.max_brightness && saturation < this.rules.lesions.max_saturation;
+    }
+
+    /**
+     * Sprout pixel: clearly green shoot
+     */
+    isSproutPixel(r, g, b) {
+        const { min_green_margin, min_green } = this.rules.sprouting;
+        return g > r + min_green_margin && g > b + min_green_margin && g >= min_green;
+    }
+
+    /**
+     * Cut edge: sharp brightness change between neighbouring onion pixels
+     */
+    isCutEdge(brightness, neighborBrightness) {
+        return Math.abs(brightness - neighborBrightness) > this.rules.cuts.min_brightness_jump;
+    }
+
     /**
      * Detect bruises (dark discolored areas)
      */
@@ -376,22 +1852,15 @@ class OnionFeatureExtractor {
         let onionPixels = 0;
         
         for (let i = 0; i < data.length; i += 4) {
+            if (!this.isForeground(data, i / 4)) continue;
+            
             const r = data[i];
             const g = data[i + 1];
             const b = data[i + 2];
             
-            if (!this.isOnionPixel(r, g, b)) continue;
-            
             onionPixels++;
             
-            // Bruises: dark brownish/reddish areas
-            // Characteristics: low brightness, brownish tone
-            const brightness = (r + g + b) / 3;
-            const maxColor = Math.max(r, g, b);
-            const minColor = Math.min(r, g, b);
-            
-            // Bruised area: darker than normal, brownish
-            if (brightness >= 40 && brightness < 100 && r >= g && r >= b) {
+            if (this.isBruisePixel(r, g, b)) {
                 bruisedPixels++;
             }
         }
@@ -400,44 +1869,37 @@ class OnionFeatureExtractor {
         
         const bruiseRatio = bruisedPixels / onionPixels;
         
-        // Dynamic: return 1 if > 5% of onion shows bruising
-        return bruiseRatio > 0.05 ? 1 : 0;
+        // Dynamic: return 1 if more than the profile ratio (default 5%) of onion shows bruising
+        return bruiseRatio > this.rules.bruises.min_ratio ? 1 : 0;
     }
 
     /**
      * Detect cuts or wounds (sharp edges, irregular boundaries)
      */
-    detectCuts(data) {
-        const width = 224;
-        const height = 224;
+    detectCuts(data, width = 224, height = 224) {
         let sharpEdgeCount = 0;
         let totalEdgeChecks = 0;
         
         for (let y = 1; y < height - 1; y++) {
             for (let x = 1; x < width - 1; x++) {
-                const idx = (y * width + x) * 4;
-                const r = data[idx];
-                const g = data[idx + 1];
-                const b = data[idx + 2];
+                // Both pixels of the pair must be part of the onion
+                if (!this.isForeground(data, y * width + x) || !this.isForeground(data, y * width + x + 1)) continue;
                 
-                if (!this.isOnionPixel(r, g, b)) continue;
-                
-                const brightness = (r + g + b) / 3;
+                const idx = (y * width + x) * 4;
+                const brightness = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
                 
                 // Check right neighbor
-                const rightIdx = (y * width + (x + 1)) * 4;
+                const rightIdx = idx + 4;
                 const rr = data[rightIdx];
                 const rg = data[rightIdx + 1];
                 const rb = data[rightIdx + 2];
                 
-                if (!this.isOnionPixel(rr, rg, rb)) continue;
-                
                 totalEdgeChecks++;
                 
                 const rightBrightness = (rr + rg + rb) / 3;
                 
                 // Sharp brightness change indicates cut/wound
-                if (Math.abs(brightness - rightBrightness) > 60) {
+                if (this.isCutEdge(brightness, rightBrightness)) {
                     sharpEdgeCount++;
                 }
             }
@@ -447,8 +1909,8 @@ class OnionFeatureExtractor {
         
         const sharpEdgeRatio = sharpEdgeCount / totalEdgeChecks;
         
-        // Dynamic: return 1 if > 3% of pixel pairs show sharp transitions
-        return sharpEdgeRatio > 0.03 ? 1 : 0;
+        // Dynamic: return 1 if more than the profile ratio (default 3%) of pixel pairs show sharp transitions
+        return sharpEdgeRatio > this.rules.cuts.min_ratio ? 1 : 0;
     }
 
     /**
@@ -459,22 +1921,15 @@ class OnionFeatureExtractor {
         let onionPixels = 0;
         
         for (let i = 0; i < data.length; i += 4) {
+            if (!this.isForeground(data, i / 4)) continue;
+            
             const r = data[i];
             const g = data[i + 1];
             const b = data[i + 2];
             
-            if (!this.isOnionPixel(r, g, b)) continue;
-            
             onionPixels++;
             
-            // Lesions: very dark, grayish, low saturation areas (soft rot)
-            const brightness = (r + g + b) / 3;
-            const maxColor = Math.max(r, g, b);
-            const minColor = Math.min(r, g, b);
-            const saturation = maxColor === 0 ? 0 : (maxColor - minColor) / maxColor;
-            
-            // Lesion characteristics: very dark + low saturation (grayish)
-            if (brightness < 70 && saturation < 0.25) {
+            if (this.isLesionPixel(r, g, b)) {
                 lesionPixels++;
             }
         }
@@ -483,31 +1938,124 @@ class OnionFeatureExtractor {
         
         const lesionRatio = lesionPixels / onionPixels;
         
-        // Dynamic: return 1 if > 6% of onion shows lesions
-        return lesionRatio > 0.06 ? 1 : 0;
+        // Dynamic: return 1 if more than the profile ratio (default 6%) of onion shows lesions
+        return lesionRatio > this.rules.lesions.min_ratio ? 1 : 0;
     }
 
     /**
-     * Detect sprouting (green shoots)
+     * Sprout pixels on the onion or growing out of it
+     * Shoots often fall outside the onion mask (the colour boxes do not cover green), so sprout pixels
+     * connected to the onion are followed outwards for up to max_distance_ratio of the frame size;
+     * green background that does not touch the onion is ignored
+     * @returns {{mask: Uint8Array, sprout: number, area: number}} Sprout mask, sprout pixel count and
+     *     onion area (mask pixels plus the shoots outside it)
      */
-    detectSprouting(data) {
-        let greenPixels = 0;
-        let totalPixels = 0;
+    getSproutMask(data, width, height) {
+        const size = width * height;
+        const mask = new Uint8Array(size);
+        const onion = new Uint8Array(size);
+        let onionPixels = 0;
+        let frontier = [];
         
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            
-            totalPixels++;
-            
-            // Detect green sprouting
-            if (g > r + 35 && g > b + 35 && g >= 100) {
-                greenPixels++;
+        for (let i = 0; i < size; i++) {
+            if (!this.isForeground(data, i)) continue;
+            onion[i] = 1;
+            onionPixels++;
+            frontier.push(i);
+            if (this.isSproutPixel(data[i * 4], data[i * 4 + 1], data[i * 4 + 2])) mask[i] = 1;
+        }
+        
+        // Grow outwards from the onion through neighbouring sprout pixels, one pixel per step
+        let outside = 0;
+        const steps = Math.round(Math.max(width, height) * this.rules.sprouting.max_distance_ratio);
+        for (let step = 0; step < steps && frontier.length > 0; step++) {
+            const next = [];
+            for (const pixel of frontier) {
+                const x = pixel % width;
+                const y = (pixel - x) / width;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                        const neighbor = ny * width + nx;
+                        if (mask[neighbor] || onion[neighbor]) continue;
+                        if (!this.isSproutPixel(data[neighbor * 4], data[neighbor * 4 + 1], data[neighbor * 4 + 2])) continue;
+                        mask[neighbor] = 1;
+                        outside++;
+                        next.push(neighbor);
+                    }
+                }
+            }
+            frontier = next;
+        }
+        
+        let sprout = 0;
+        for (let i = 0; i < size; i++) sprout += mask[i];
+        return { mask: mask, sprout: sprout, area: onionPixels + outside };
+    }
+
+    /**
+     * Detect sprouting (green shoots), as a share of the onion's area including the shoots
+     */
+    detectSprouting(data, width, height) {
+        const { sprout, area } = this.getSproutMask(data, width, height);
+        return area > 0 ? sprout / area : 0;
+    }
+
+    /**
+     * Per-pixel defect masks (1 = defect) using the same rules as the detectors
+     * @param {Object} [lighting] - White balance the pixels were graded with (features.white_balance)
+     * @returns {Object} { width, height, bruises, lesions, cuts, sprouting, black_spots } with Uint8Array masks
+     */
+    createDefectMasks(data, width = 224, height = 224, lighting = null) {
+        data = this.prepareImage(data, width, height, lighting).data;
+        const size = width * height;
+        const masks = {
+            width: width,
+            height: height,
+            bruises: new Uint8Array(size),
+            lesions: new Uint8Array(size),
+            cuts: new Uint8Array(size),
+            sprouting: this.getSproutMask(data, width, height).mask,
+            black_spots: new Uint8Array(size)
+        };
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const idx = i * 4;
+                const r = data[idx];
+                const g = data[idx + 1];
+                const b = data[idx + 2];
+                
+                if (!this.isForeground(data, i)) continue;
+                
+                if (this.isBruisePixel(r, g, b)) masks.bruises[i] = 1;
+                if (this.isLesionPixel(r, g, b)) masks.lesions[i] = 1;
+                
+                // Mark both sides of a sharp edge with the right neighbor
+                if (x > 0 && x < width - 2 && y > 0 && y < height - 1) {
+                    const rightIdx = idx + 4;
+                    const rr = data[rightIdx];
+                    const rg = data[rightIdx + 1];
+                    const rb = data[rightIdx + 2];
+                    if (this.isForeground(data, i + 1) &&
+                        this.isCutEdge((r + g + b) / 3, (rr + rg + rb) / 3)) {
+                        masks.cuts[i] = 1;
+                        masks.cuts[i + 1] = 1;
+                    }
+                }
             }
         }
         
-        return totalPixels > 0 ? greenPixels / totalPixels : 0;
+        for (const spot of this.findBlackSpots(data, width, height, { collectPixels: true })) {
+            for (const pixel of spot.pixels) {
+                masks.black_spots[pixel] = 1;
+            }
+        }
+        
+        return masks;
     }
 
     /**
@@ -519,12 +2067,12 @@ class OnionFeatureExtractor {
         let samples = 0;
         
         for (let i = 0; i < data.length; i += 4) {
+            if (!this.isForeground(data, i / 4)) continue;
+            
             const r = data[i];
             const g = data[i + 1];
             const b = data[i + 2];
             
-            if (!this.isOnionPixel(r, g, b)) continue;
-            
             const brightness = (r + g + b) / 3;
             const maxColor = Math.max(r, g, b);
             const minColor = Math.min(r, g, b);
@@ -545,70 +2093,107 @@ class OnionFeatureExtractor {
      * Check if pixel is onion-colored
      */
     isOnionPixel(r, g, b, allowDark = false) {
+        const pixelRules = this.rules.onion_pixel;
+        const { dark } = pixelRules;
         const brightness = (r + g + b) / 3;
         
         // Allow dark spots on onion
-        if (allowDark && brightness < 80 && brightness > 10) {
+        if (allowDark && brightness < dark.brightness[1] && brightness > dark.brightness[0]) {
             // Dark brownish tones (spots on onion)
-            if (r >= g && r >= b && r < 120) {
+            if (r >= g && r >= b && r < dark.max_r) {
                 return true;
             }
         }
         
+        const family = this.classifyOnionPixel(r, g, b, pixelRules);
+        return family !== null && pixelRules.families.includes(family);
+    }
+
+    /**
+     * Which onion colour family a pixel belongs to
+     * @returns {string|null} 'golden', 'white', 'red' or null
+     */
+    classifyOnionPixel(r, g, b, pixelRules = this.rules.onion_pixel) {
+        const { golden, white, red } = pixelRules;
+        
         // Brown/Golden/Yellow onion - RELAXED for better detection
-        if (r >= 80 && r <= 230 && g >= 50 && g <= 200 && b >= 20 && b <= 130 && r > b + 20) {
-            return true;
+        if (r >= golden.r[0] && r <= golden.r[1] && g >= golden.g[0] && g <= golden.g[1] &&
+            b >= golden.b[0] && b <= golden.b[1] && r > b + golden.min_r_minus_b) {
+            return 'golden';
         }
         // White onion
-        if (r >= 170 && g >= 170 && b >= 170 && r <= 255 && g <= 255 && b <= 255) {
-            return true;
+        if (r >= white.min_rgb && g >= white.min_rgb && b >= white.min_rgb) {
+            return 'white';
         }
         // Purple/Red onion
-        if (r >= 80 && r <= 180 && b >= 70 && b <= 170 && r > g - 10 && b > g - 30) {
-            return true;
+        if (r >= red.r[0] && r <= red.r[1] && b >= red.b[0] && b <= red.b[1] &&
+            r > g + red.min_r_minus_g && b > g + red.min_b_minus_g) {
+            return 'red';
         }
         
-        return false;
+        return null;
     }
 
     /**
      * Calculate shelf life based on extracted features
-     * Uses the same logic as the Python notebook
+     * Uses the same logic as the Python notebook, with the rules of the variety in the features
      */
     calculateShelfLife(features) {
-        let baseShelfLife = 30; // Baseline for perfect onion
+        const weights = this.getVarietyRules(features.variety ? features.variety.name : null).shelf_life;
+        let baseShelfLife = weights.base_days; // Baseline for perfect onion
         
         // Reduce shelf life based on various factors
         let shelfLife = baseShelfLife;
-        shelfLife -= features.black_spots_count * 0.8;
-        shelfLife -= (features.surface_texture_score - 1) * 3;
-        shelfLife -= (features.skin_condition_score - 1) * 4;
-        shelfLife -= features.visible_damage_flag * 8;
+        shelfLife -= features.black_spots_count * weights.per_black_spot;
+        shelfLife -= (features.surface_texture_score - 1) * weights.per_texture_point;
+        shelfLife -= (features.skin_condition_score - 1) * weights.per_skin_point;
+        shelfLife -= features.visible_damage_flag * weights.visible_damage;
         
-        // Sprouting penalty
-        if (features.sprouting_detected > 0.05) {
-            shelfLife -= 10;
-        } else if (features.sprouting_detected > 0.02) {
-            shelfLife -= 5;
+        // Sprouting penalty (first matching step, largest ratio first)
+        const sproutingPenalty = weights.sprouting_penalties
+            .slice()
+            .sort((a, b) => b.min_ratio - a.min_ratio)
+            .find(step => features.sprouting_detected > step.min_ratio);
+        if (sproutingPenalty) {
+            shelfLife -= sproutingPenalty.days;
         }
         
-        // Constrain between 0-37 days
-        shelfLife = Math.max(0, Math.min(37, Math.round(shelfLife)));
+        // Shape, colour, firmness and pole condition (missing when no onion outline was found)
+        if (typeof features.axis_ratio === 'number') {
+            shelfLife -= Math.max(0, features.axis_ratio - weights.axis_ratio.max_normal) * weights.axis_ratio.days_per_unit;
+        }
+        if (typeof features.color_uniformity === 'number') {
+            shelfLife -= Math.max(0, weights.color_uniformity.min_percent - features.color_uniformity) * weights.color_uniformity.days_per_percent;
+        }
+        if (typeof features.firmness_score === 'number') {
+            shelfLife -= (5 - features.firmness_score) * weights.per_firmness_point;
+        }
+        for (const condition of [features.root_condition, features.neck_condition]) {
+            shelfLife -= weights.pole_penalties[condition] || 0;
+        }
+        
+        // Constrain between 0 and the profile maximum (default 37 days)
+        shelfLife = Math.max(0, Math.min(weights.max_days, Math.round(shelfLife)));
         
         return shelfLife;
     }
 
     /**
      * Get quality grade based on shelf life
+     * @param {number} shelfLife - Days
+     * @param {Object} [variety] - features.variety of the graded onion (base profile without one)
      */
-    getQualityGrade(shelfLife) {
-        if (shelfLife > 25) return 'A';
-        if (shelfLife > 18) return 'B';
-        if (shelfLife > 10) return 'C';
+    getQualityGrade(shelfLife, variety = null) {
+        const grades = this.getVarietyRules(variety ? variety.name : null).grades;
+        if (shelfLife > grades.A) return 'A';
+        if (shelfLife > grades.B) return 'B';
+        if (shelfLife > grades.C) return 'C';
         return 'D';
     }
 }
 
+OnionFeatureExtractor.DEFAULT_PROFILE = DEFAULT_PROFILE;
+
 // Export for use in main app
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = OnionFeatureExtractor;
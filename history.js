@@ -0,0 +1,352 @@
+/**
+ * Inspection History Module
+ * Saves every prediction (with a thumbnail) in the browser's IndexedDB and shows a log
+ * that can be filtered, searched, pruned and exported as CSV or JSON
+ * Depends on getSourceSize() from app.js, getResultModel(), flattenFeatures(), escapeHtml(), toCsv() and downloadFile()
+ * from batch_grading.js
+ * and getCurrentLot() and refreshLotTimeline() from lot_tracking.js
+ */
+
+const HISTORY_DB_NAME = 'onion-inspections';
+const HISTORY_DB_VERSION = 2;
+const HISTORY_STORE = 'inspections';
+
+// Longest side of the stored thumbnail in pixels
+const HISTORY_THUMBNAIL_SIZE = 96;
+
+// The webcam predicts about once a second; keep at most one webcam record per interval
+const HISTORY_WEBCAM_INTERVAL_MS = 10000;
+
+// Fixed leading export columns; every extracted feature is appended after these
+const HISTORY_COLUMNS = [
+    { key: 'id', label: 'ID' },
+    { key: 'time', label: 'Time' },
+    { key: 'source', label: 'Source' },
+    { key: 'file', label: 'File' },
+    { key: 'onion', label: 'Onion' },
+    { key: 'lot', label: 'Lot' },
+    { key: 'model', label: 'Model' },
+    { key: 'fallback_reason', label: 'Fallback reason' },
+    { key: 'profile', label: 'Profile' },
+    { key: 'mode', label: 'Mode' },
+    { key: 'predicted_class', label: 'Class' },
+    { key: 'days', label: 'Days' },
+    { key: 'days_lower', label: 'Days (low)' },
+    { key: 'days_upper', label: 'Days (high)' },
+    { key: 'confidence', label: 'Confidence' },
+    { key: 'grade', label: 'Grade' }
+];
+
+// Promise for the open database, shared by every request
+let historyDb = null;
+// All stored records, newest first (loaded when the history panel is opened)
+let historyRecords = [];
+let lastWebcamRecordTime = 0;
+
+/**
+ * Open (and on first use create) the history database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openHistoryDb() {
+    if (!historyDb) {
+        historyDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+            request.onupgradeneeded = event => {
+                // Version 1 created the store; version 2 added the lot index
+                const store = event.oldVersion < 1
+                    ? request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true })
+                    : request.transaction.objectStore(HISTORY_STORE);
+                if (event.oldVersion < 1) store.createIndex('timestamp', 'timestamp');
+                if (event.oldVersion < 2) store.createIndex('lot', 'lot');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return historyDb;
+}
+
+/**
+ * Run one request against the history store and wait for its transaction to finish
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the object store and returns an IDBRequest
+ */
+async function historyRequest(mode, makeRequest) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE, mode);
+        const request = makeRequest(transaction.objectStore(HISTORY_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Small JPEG data URL of an image or canvas, keeping its aspect ratio
+ */
+function createHistoryThumbnail(source) {
+    const { width, height } = getSourceSize(source);
+    const scale = HISTORY_THUMBNAIL_SIZE / Math.max(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.7);
+}
+
+/**
+ * Whether the current webcam prediction should be recorded (at most one per HISTORY_WEBCAM_INTERVAL_MS)
+ */
+function shouldRecordWebcamFrame() {
+    const now = Date.now();
+    if (now - lastWebcamRecordTime < HISTORY_WEBCAM_INTERVAL_MS) return false;
+    lastWebcamRecordTime = now;
+    return true;
+}
+
+/**
+ * Save a predict() result to the inspection history
+ * Frames without an onion are not recorded; storage errors are logged and never interrupt grading
+ * @param {Object} result - Result returned by predict()
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Image the prediction was made on (for the thumbnail)
+ * The record is tagged with the lot ID currently entered in the UI, if any
+ * @param {Object} [details] - { source: 'upload' | 'webcam' | 'auto-capture' | 'capture' | 'batch', file, onion }
+ * @returns {Promise<Object|null>} The stored record
+ */
+async function recordInspection(result, source, details = {}) {
+    if (!result || !result.onionDetected) return null;
+
+    const record = {
+        timestamp: Date.now(),
+        source: details.source || 'upload',
+        file: details.file || null,
+        onion: details.onion || null,
+        lot: getCurrentLot(),
+        thumbnail: createHistoryThumbnail(source),
+        model: result.model,
+        fallback_reason: result.fallback_reason,
+        profile: result.profile,
+        mode: result.mode,
+        predicted_class: result.predictedClass,
+        estimate: result.estimate,
+        confidence: result.confidence,
+        grade: result.grade,
+        hybrid: result.hybrid,
+        class_margin: result.class_margin || null,
+        framing: result.framing || null,
+        features: result.features
+    };
+
+    try {
+        record.id = await historyRequest('readwrite', store => store.add(record));
+        historyRecords.unshift(record);
+        if (document.getElementById('history-container').style.display !== 'none') {
+            renderHistoryTable();
+        }
+        refreshLotTimeline(record);
+        return record;
+    } catch (error) {
+        console.warn('Could not save inspection to history:', error);
+        return null;
+    }
+}
+
+/**
+ * Load all stored records, newest first
+ */
+async function loadHistory() {
+    try {
+        const records = await historyRequest('readonly', store => store.index('timestamp').getAll());
+        historyRecords = records.reverse();
+    } catch (error) {
+        console.error('Could not read inspection history:', error);
+        showStatus(`Inspection history unavailable: ${error.message}`, 'error');
+        historyRecords = [];
+    }
+}
+
+// Show or hide the history panel (records are reloaded each time it opens)
+async function toggleHistory() {
+    const container = document.getElementById('history-container');
+    if (container.style.display !== 'none') {
+        container.style.display = 'none';
+        return;
+    }
+
+    await loadHistory();
+    container.style.display = 'block';
+    renderHistoryTable();
+}
+
+// Local calendar date (YYYY-MM-DD) of a timestamp, to match the date filter input
+function toLocalDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Records matching the search box and the grade, source and date filters
+ */
+function getFilteredHistory() {
+    const search = document.getElementById('history-search').value.trim().toLowerCase();
+    const grade = document.getElementById('history-grade').value;
+    const source = document.getElementById('history-source').value;
+    const day = document.getElementById('history-date').value;
+
+    return historyRecords.filter(record => {
+        if (grade && record.grade !== grade) return false;
+        if (source && record.source !== source) return false;
+        if (day && toLocalDate(record.timestamp) !== day) return false;
+        if (!search) return true;
+
+        const text = [
+            record.file,
+            record.lot,
+            record.source,
+            getResultModel(record).name,
+            record.profile ? record.profile.name : '',
+            record.predicted_class,
+            record.grade,
+            getRecordVariety(record)
+        ].join(' ').toLowerCase();
+        return text.includes(search);
+    });
+}
+
+/**
+ * Variety label of a record (records from before variety detection hold a plain string)
+ */
+function getRecordVariety(record) {
+    const variety = record.features && record.features.variety;
+    if (!variety) return '';
+    return typeof variety === 'string' ? variety : variety.label;
+}
+
+/**
+ * Flatten a record into an export row
+ */
+function buildHistoryRow(record) {
+    return Object.assign({
+        id: record.id,
+        time: new Date(record.timestamp).toISOString(),
+        source: record.source,
+        file: record.file,
+        onion: record.onion,
+        lot: record.lot,
+        model: getResultModel(record).id,
+        fallback_reason: record.fallback_reason,
+        profile: record.profile ? `${record.profile.name} v${record.profile.version}` : '',
+        mode: record.mode,
+        predicted_class: record.predicted_class,
+        days: record.estimate.days,
+        days_lower: record.estimate.lower,
+        days_upper: record.estimate.upper,
+        confidence: Math.round(record.confidence * 1000) / 1000,
+        grade: record.grade
+    }, flattenFeatures(record.hybrid, 'hybrid'), flattenFeatures(record.class_margin, 'class_margin'), flattenFeatures(record.framing, 'framing'), flattenFeatures(record.features));
+}
+
+/**
+ * Render the history log for the current filters
+ */
+function renderHistoryTable() {
+    const content = document.getElementById('history-content');
+    const records = getFilteredHistory();
+
+    document.getElementById('history-count').textContent = `${records.length} of ${historyRecords.length} inspections`;
+
+    if (records.length === 0) {
+        content.innerHTML = '<div style="padding: 10px; color: #666;">No inspections match.</div>';
+        return;
+    }
+
+    let html = '<div style="overflow-x: auto; max-height: 500px;"><table style="border-collapse: collapse; font-size: 12px; white-space: nowrap;">';
+    html += '<thead><tr>';
+    for (const label of ['', 'Time', 'Source', 'File', 'Lot', 'Model', 'Profile', 'Days', 'Confidence', 'Grade', '']) {
+        html += `<th style="padding: 6px 8px; background: #667eea; color: white; text-align: left;">${label}</th>`;
+    }
+    html += '</tr></thead><tbody>';
+
+    records.forEach((record, index) => {
+        const background = index % 2 === 0 ? '#ffffff' : '#f8f9fa';
+        const file = record.file ? `${record.file}${record.onion ? ` #${record.onion}` : ''}` : '';
+        const model = getResultModel(record).name;
+        const review = record.hybrid && record.hybrid.needs_review ? ' ⚠️' : '';
+        html += `
+            <tr style="background: ${background};">
+                <td style="padding: 4px 8px;"><img src="${record.thumbnail}" alt="" style="height: 48px; border-radius: 4px;"></td>
+                <td style="padding: 4px 8px;">${escapeHtml(new Date(record.timestamp).toLocaleString())}</td>
+                <td style="padding: 4px 8px;">${escapeHtml(record.source)}</td>
+                <td style="padding: 4px 8px;">${escapeHtml(file)}</td>
+                <td style="padding: 4px 8px;">${escapeHtml(record.lot || '')}</td>
+                <td style="padding: 4px 8px;" title="${escapeHtml(record.fallback_reason || '')}">${escapeHtml(model)}</td>
+                <td style="padding: 4px 8px;">${record.profile ? escapeHtml(`${record.profile.name} v${record.profile.version}`) : ''}</td>
+                <td style="padding: 4px 8px;">${record.estimate.days} (${record.estimate.lower}-${record.estimate.upper})${review}</td>
+                <td style="padding: 4px 8px;">${(record.confidence * 100).toFixed(1)}%</td>
+                <td style="padding: 4px 8px;">${escapeHtml(record.grade)}</td>
+                <td style="padding: 4px 8px;"><button onclick="deleteInspection(${record.id})" style="padding: 2px 8px; font-size: 12px;">🗑️</button></td>
+            </tr>
+        `;
+    });
+
+    html += '</tbody></table></div>';
+    content.innerHTML = html;
+}
+
+// Delete one inspection
+async function deleteInspection(id) {
+    try {
+        await historyRequest('readwrite', store => store.delete(id));
+        historyRecords = historyRecords.filter(record => record.id !== id);
+        renderHistoryTable();
+    } catch (error) {
+        console.error('Could not delete inspection:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// Delete every inspection matching the current filters
+async function deleteShownInspections() {
+    const records = getFilteredHistory();
+    if (records.length === 0 || !confirm(`Delete ${records.length} inspections from the history?`)) return;
+
+    try {
+        await historyRequest('readwrite', store => {
+            let request;
+            records.forEach(record => { request = store.delete(record.id); });
+            return request;
+        });
+        const deleted = new Set(records.map(record => record.id));
+        historyRecords = historyRecords.filter(record => !deleted.has(record.id));
+        renderHistoryTable();
+    } catch (error) {
+        console.error('Could not delete inspections:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// Export the inspections matching the current filters as CSV (thumbnails are left out)
+function exportHistoryCsv() {
+    const rows = getFilteredHistory().map(buildHistoryRow);
+    if (rows.length === 0) return;
+
+    const baseKeys = new Set(HISTORY_COLUMNS.map(column => column.key));
+    const featureKeys = [];
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            if (!baseKeys.has(key) && !featureKeys.includes(key)) {
+                featureKeys.push(key);
+            }
+        }
+    }
+    const columns = HISTORY_COLUMNS.concat(featureKeys.map(key => ({ key: key, label: key })));
+    downloadFile('onion_inspection_history.csv', toCsv(rows, columns), 'text/csv');
+}
+
+// Export the inspections matching the current filters as JSON (full records, thumbnails included)
+function exportHistoryJson() {
+    const records = getFilteredHistory();
+    if (records.length === 0) return;
+    downloadFile('onion_inspection_history.json', JSON.stringify(records, null, 2), 'application/json');
+}
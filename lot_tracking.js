@@ -0,0 +1,245 @@
+/**
+ * Lot Tracking Module
+ * Tags predictions with a lot or item ID and follows each lot across visits:
+ * a timeline of predicted days and key features, a projected spoilage date,
+ * and a warning when the lot loses shelf life faster than predicted
+ * Depends on historyRequest(), loadHistory(), historyRecords and toLocalDate() from history.js
+ * and escapeHtml() from batch_grading.js
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Remaining shelf life should fall by about one day per day; warn when the trend falls faster than this
+const LOT_DECLINE_WARNING_RATE = 1.5;
+
+// Visits must span at least this many days before a trend is fitted
+const LOT_MIN_TREND_SPAN_DAYS = 1;
+
+// Lot or item ID typed in the UI, or null when predictions are not being tagged
+function getCurrentLot() {
+    const input = document.getElementById('lot-input');
+    const lot = input ? input.value.trim() : '';
+    return lot || null;
+}
+
+// Fill the lot suggestions with every lot already in the history
+async function refreshLotOptions() {
+    await loadHistory();
+    const lots = [...new Set(historyRecords.map(record => record.lot).filter(Boolean))].sort();
+    document.getElementById('lot-options').innerHTML = lots
+        .map(lot => `<option value="${escapeHtml(lot)}"></option>`)
+        .join('');
+}
+
+/**
+ * All stored inspections of one lot, oldest first
+ */
+async function loadLotRecords(lot) {
+    const records = await historyRequest('readonly', store => store.index('lot').getAll(lot));
+    return records.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Mean of the numeric values in a list (null when there are none)
+function meanOf(values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+/**
+ * Summarise a lot's inspections into one point per visit (calendar day) and fit a trend
+ * @param {Object[]} records - Inspections of the lot, oldest first
+ * @returns {Object} { visits, projected_spoilage, trend, declining_faster }
+ */
+function summarizeLot(records) {
+    const byDay = new Map();
+    for (const record of records) {
+        const day = toLocalDate(record.timestamp);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(record);
+    }
+
+    // Several onions graded on the same visit are averaged
+    const visits = [...byDay.entries()].map(([day, dayRecords]) => {
+        const timestamp = meanOf(dayRecords.map(record => record.timestamp));
+        const days = meanOf(dayRecords.map(record => record.estimate.days));
+        return {
+            date: day,
+            timestamp: timestamp,
+            count: dayRecords.length,
+            days: days,
+            black_spots: meanOf(dayRecords.map(record => record.features.black_spots_count)),
+            texture: meanOf(dayRecords.map(record => record.features.surface_texture_score)),
+            skin: meanOf(dayRecords.map(record => record.features.skin_condition_score)),
+            sprouting_percent: meanOf(dayRecords.map(record => record.features.sprouting_detected * 100)),
+            spoilage: timestamp + days * DAY_MS
+        };
+    });
+
+    const latest = visits[visits.length - 1];
+    const summary = {
+        visits: visits,
+        projected_spoilage: latest ? latest.spoilage : null,
+        trend: null,
+        declining_faster: false
+    };
+
+    // Least-squares line through (elapsed days, predicted days)
+    const first = visits[0];
+    const points = visits.map(visit => ({ x: (visit.timestamp - first.timestamp) / DAY_MS, y: visit.days }));
+    const span = points.length > 0 ? points[points.length - 1].x : 0;
+    if (points.length < 2 || span < LOT_MIN_TREND_SPAN_DAYS) {
+        return summary;
+    }
+
+    const meanX = meanOf(points.map(point => point.x));
+    const meanY = meanOf(points.map(point => point.y));
+    let covariance = 0;
+    let variance = 0;
+    for (const point of points) {
+        covariance += (point.x - meanX) * (point.y - meanY);
+        variance += (point.x - meanX) * (point.x - meanX);
+    }
+    const rate = covariance / variance;
+    const fittedNow = meanY + rate * (span - meanX);
+
+    summary.trend = {
+        days_lost_per_day: Math.round(-rate * 100) / 100,
+        // Where the fitted line reaches 0 days (null when the lot is not declining)
+        spoilage: rate < 0 ? latest.timestamp + Math.max(0, fittedNow / -rate) * DAY_MS : null
+    };
+    summary.declining_faster = -rate > LOT_DECLINE_WARNING_RATE;
+
+    // A faster decline than predicted means the trend date is the better projection
+    if (summary.declining_faster && summary.trend.spoilage < summary.projected_spoilage) {
+        summary.projected_spoilage = summary.trend.spoilage;
+    }
+    return summary;
+}
+
+/**
+ * SVG chart of predicted days per visit against the decline the first visit predicted
+ */
+function renderLotChart(summary) {
+    const width = 400;
+    const height = 160;
+    const margin = 24;
+    const first = summary.visits[0];
+    const start = first.timestamp;
+    const end = Math.max(first.spoilage, summary.projected_spoilage, summary.visits[summary.visits.length - 1].timestamp + DAY_MS);
+    const maxDays = Math.max(1, ...summary.visits.map(visit => visit.days));
+
+    const x = timestamp => margin + (timestamp - start) / (end - start) * (width - 2 * margin);
+    const y = days => height - margin - days / maxDays * (height - 2 * margin);
+
+    const measured = summary.visits.map(visit => `${x(visit.timestamp).toFixed(1)},${y(visit.days).toFixed(1)}`).join(' ');
+    const dots = summary.visits
+        .map(visit => `<circle cx="${x(visit.timestamp).toFixed(1)}" cy="${y(visit.days).toFixed(1)}" r="3" fill="#667eea"></circle>`)
+        .join('');
+    const latest = summary.visits[summary.visits.length - 1];
+    const projectionColor = summary.declining_faster ? '#dc3545' : '#667eea';
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" style="width: 100%; max-width: ${width * 1.5}px; background: white; border-radius: 6px;">
+            <line x1="${margin}" y1="${height - margin}" x2="${width - margin}" y2="${height - margin}" stroke="#ccc"></line>
+            <line x1="${margin}" y1="${margin}" x2="${margin}" y2="${height - margin}" stroke="#ccc"></line>
+            <text x="${margin + 4}" y="${margin - 8}" font-size="10" fill="#666">${Math.round(maxDays)} days</text>
+            <line x1="${x(start)}" y1="${y(first.days)}" x2="${x(first.spoilage)}" y2="${y(0)}" stroke="#28a745" stroke-dasharray="4 3"></line>
+            <line x1="${x(latest.timestamp)}" y1="${y(latest.days)}" x2="${x(summary.projected_spoilage)}" y2="${y(0)}" stroke="${projectionColor}" stroke-dasharray="2 3"></line>
+            <polyline points="${measured}" fill="none" stroke="#667eea" stroke-width="2"></polyline>
+            ${dots}
+        </svg>
+        <div style="font-size: 11px; color: #666;">
+            <span style="color: #667eea;">━</span> predicted days per visit ·
+            <span style="color: #28a745;">╍</span> decline expected at the first visit ·
+            <span style="color: ${projectionColor};">┈</span> projection to spoilage
+        </div>
+    `;
+}
+
+// Format a number for the timeline table
+function formatLotValue(value, digits = 1) {
+    return typeof value === 'number' ? value.toFixed(digits) : '-';
+}
+
+/**
+ * Show the timeline of the lot typed in the lot field
+ */
+async function showLotTimeline() {
+    const lot = getCurrentLot();
+    const container = document.getElementById('lot-container');
+    const content = document.getElementById('lot-content');
+
+    if (!lot) {
+        showStatus('Enter a lot or item ID first', 'error');
+        return;
+    }
+
+    let records;
+    try {
+        records = await loadLotRecords(lot);
+    } catch (error) {
+        console.error('Could not read lot history:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+        return;
+    }
+
+    document.getElementById('lot-title').textContent = `📈 Lot ${lot}`;
+    container.style.display = 'block';
+
+    if (records.length === 0) {
+        content.innerHTML = '<div style="padding: 10px; color: #666;">No inspections saved for this lot yet. Predictions made while the lot ID is filled in are added to it.</div>';
+        return;
+    }
+
+    const summary = summarizeLot(records);
+    const formatDate = timestamp => new Date(timestamp).toLocaleDateString();
+
+    let html = '';
+    if (summary.declining_faster) {
+        html += `
+            <div style="margin-bottom: 10px; padding: 8px 12px; border-radius: 6px; background: #f8d7da; color: #721c24; font-weight: bold;">
+                ⚠️ This lot is losing ${summary.trend.days_lost_per_day} days of shelf life per day - faster than predicted. Check storage conditions.
+            </div>
+        `;
+    }
+    html += `
+        <div style="font-size: 14px; color: #333; margin-bottom: 10px;">
+            <div>Visits: ${summary.visits.length} (${records.length} inspections)</div>
+            <div>Projected spoilage: <strong>${formatDate(summary.projected_spoilage)}</strong></div>
+            ${summary.trend ? `<div>Trend: ${summary.trend.days_lost_per_day} days lost per day${summary.trend.spoilage ? `, reaching 0 days around ${formatDate(summary.trend.spoilage)}` : ''}</div>` : '<div>Trend: needs visits on at least two different days</div>'}
+        </div>
+    `;
+    html += renderLotChart(summary);
+
+    html += '<div style="overflow-x: auto; margin-top: 10px;"><table style="border-collapse: collapse; font-size: 12px; white-space: nowrap;"><thead><tr>';
+    for (const label of ['Date', 'Onions', 'Days', 'Spoils by', 'Black spots', 'Texture', 'Skin', 'Sprouting %']) {
+        html += `<th style="padding: 6px 8px; background: #667eea; color: white; text-align: left;">${label}</th>`;
+    }
+    html += '</tr></thead><tbody>';
+    summary.visits.forEach((visit, index) => {
+        const background = index % 2 === 0 ? '#ffffff' : '#f8f9fa';
+        html += `
+            <tr style="background: ${background};">
+                <td style="padding: 4px 8px;">${escapeHtml(visit.date)}</td>
+                <td style="padding: 4px 8px;">${visit.count}</td>
+                <td style="padding: 4px 8px;">${formatLotValue(visit.days)}</td>
+                <td style="padding: 4px 8px;">${formatDate(visit.spoilage)}</td>
+                <td style="padding: 4px 8px;">${formatLotValue(visit.black_spots)}</td>
+                <td style="padding: 4px 8px;">${formatLotValue(visit.texture)}</td>
+                <td style="padding: 4px 8px;">${formatLotValue(visit.skin)}</td>
+                <td style="padding: 4px 8px;">${formatLotValue(visit.sprouting_percent)}</td>
+            </tr>
+        `;
+    });
+    html += '</tbody></table></div>';
+
+    content.innerHTML = html;
+}
+
+// Refresh an open timeline after a new inspection of the same lot is saved
+function refreshLotTimeline(record) {
+    const container = document.getElementById('lot-container');
+    if (record.lot && record.lot === getCurrentLot() && container.style.display !== 'none') {
+        showLotTimeline();
+    }
+}
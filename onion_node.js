@@ -0,0 +1,336 @@
+/**
+ * Onion Shelf Life - Headless Node.js API
+ * Runs OnionFeatureExtractor and the shelf life calculation without a browser
+ *
+ * Usage as a module:
+ *   const { analyzePixels, analyzeFile } = require('./onion_node.js');
+ *   const result = analyzePixels(rgbaBuffer, width, height);
+ *   const fromFile = analyzeFile('./photos/onion.jpg');
+ *
+ * Usage from the command line:
+ *   node onion_node.js photo1.png photo2.jpg
+ *   node onion_node.js --profile profiles/default.json photo1.png
+ *   node onion_node.js --variety red photo1.png
+ *   node onion_node.js --mm-per-pixel 0.12 photo1.png
+ *
+ * Decoding PNG/JPEG files needs the optional `pngjs` and `jpeg-js` packages.
+ * Raw RGBA buffers and already-decoded images ({ data, width, height }) need nothing extra.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OnionFeatureExtractor = require('./feature_extraction.js');
+
+// Same input size the browser app draws onto its canvas
+const ANALYSIS_SIZE = 224;
+
+// Padding around the onion when framing, as in the browser app (ONION_CROP_PADDING in app.js)
+const ONION_CROP_PADDING = 0.1;
+
+/**
+ * Resize RGBA pixels with bilinear sampling (matches the browser's smoothed drawImage)
+ * @param {Uint8Array|Uint8ClampedArray|Buffer} data - Source RGBA pixels
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} targetWidth - Output width
+ * @param {number} targetHeight - Output height
+ * @returns {Uint8ClampedArray} Resized RGBA pixels
+ */
+function resizeRgba(data, width, height, targetWidth, targetHeight) {
+    if (width === targetWidth && height === targetHeight) {
+        return Uint8ClampedArray.from(data.subarray ? data.subarray(0, width * height * 4) : data);
+    }
+
+    const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+    const scaleX = width / targetWidth;
+    const scaleY = height / targetHeight;
+
+    for (let y = 0; y < targetHeight; y++) {
+        const srcY = Math.min(height - 1, Math.max(0, (y + 0.5) * scaleY - 0.5));
+        const y0 = Math.floor(srcY);
+        const y1 = Math.min(height - 1, y0 + 1);
+        const fy = srcY - y0;
+
+        for (let x = 0; x < targetWidth; x++) {
+            const srcX = Math.min(width - 1, Math.max(0, (x + 0.5) * scaleX - 0.5));
+            const x0 = Math.floor(srcX);
+            const x1 = Math.min(width - 1, x0 + 1);
+            const fx = srcX - x0;
+
+            const i00 = (y0 * width + x0) * 4;
+            const i01 = (y0 * width + x1) * 4;
+            const i10 = (y1 * width + x0) * 4;
+            const i11 = (y1 * width + x1) * 4;
+            const out = (y * targetWidth + x) * 4;
+
+            for (let c = 0; c < 4; c++) {
+                const top = data[i00 + c] * (1 - fx) + data[i01 + c] * fx;
+                const bottom = data[i10 + c] * (1 - fx) + data[i11 + c] * fx;
+                output[out + c] = Math.round(top * (1 - fy) + bottom * fy);
+            }
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Cut a square out of RGBA pixels into a size x size image with bilinear sampling
+ * (matches the browser's drawImage of a crop; parts of the square outside the image get the fill colour)
+ * @param {Uint8Array|Uint8ClampedArray|Buffer} data - Source RGBA pixels
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Object} rect - Square { x, y, width, height } in source pixels (OnionFeatureExtractor.getSquareCrop)
+ * @param {number} size - Output width and height
+ * @param {number[]} fill - [r, g, b] for pixels outside the image
+ * @returns {Uint8ClampedArray} Cropped RGBA pixels
+ */
+function cropRgba(data, width, height, rect, size, fill) {
+    const output = new Uint8ClampedArray(size * size * 4);
+    const scale = rect.width / size;
+
+    for (let y = 0; y < size; y++) {
+        const sampleY = rect.y + (y + 0.5) * scale;
+        const srcY = Math.min(height - 1, Math.max(0, sampleY - 0.5));
+        const y0 = Math.floor(srcY);
+        const y1 = Math.min(height - 1, y0 + 1);
+        const fy = srcY - y0;
+
+        for (let x = 0; x < size; x++) {
+            const sampleX = rect.x + (x + 0.5) * scale;
+            const out = (y * size + x) * 4;
+            if (sampleX < 0 || sampleY < 0 || sampleX > width || sampleY > height) {
+                output[out] = fill[0];
+                output[out + 1] = fill[1];
+                output[out + 2] = fill[2];
+                output[out + 3] = 255;
+                continue;
+            }
+
+            const srcX = Math.min(width - 1, Math.max(0, sampleX - 0.5));
+            const x0 = Math.floor(srcX);
+            const x1 = Math.min(width - 1, x0 + 1);
+            const fx = srcX - x0;
+
+            const i00 = (y0 * width + x0) * 4;
+            const i01 = (y0 * width + x1) * 4;
+            const i10 = (y1 * width + x0) * 4;
+            const i11 = (y1 * width + x1) * 4;
+
+            for (let c = 0; c < 4; c++) {
+                const top = data[i00 + c] * (1 - fx) + data[i01 + c] * fx;
+                const bottom = data[i10 + c] * (1 - fx) + data[i11 + c] * fx;
+                output[out + c] = Math.round(top * (1 - fy) + bottom * fy);
+            }
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Frame an image like the browser app: a padded square around the onion, without stretching
+ * (the whole image letterboxed when no onion is found)
+ * @param {OnionFeatureExtractor} extractor - Extractor used to find the onion
+ * @returns {{pixels: Uint8ClampedArray, rect: Object, onion_found: boolean, overview: Uint8ClampedArray, lighting: Object}}
+ *     The 224x224 crop, the square in source pixels, the whole image stretched to 224x224 with its white
+ *     balance applied, and that white balance (to grade the crop with)
+ */
+function frameRgba(extractor, data, width, height) {
+    const resized = resizeRgba(data, width, height, ANALYSIS_SIZE, ANALYSIS_SIZE);
+    const { data: overview, correction } = extractor.correctLighting(resized, ANALYSIS_SIZE, ANALYSIS_SIZE);
+    const box = extractor.findOnionBox(resized, ANALYSIS_SIZE, ANALYSIS_SIZE, correction);
+    const rect = box
+        ? extractor.getSquareCrop(box, width, height, ONION_CROP_PADDING)
+        : extractor.getSquareCrop({ x: 0, y: 0, width: 1, height: 1 }, width, height, 0);
+    const fill = extractor.getBorderColor(resized, ANALYSIS_SIZE, ANALYSIS_SIZE);
+
+    return {
+        pixels: cropRgba(data, width, height, rect, ANALYSIS_SIZE, fill),
+        rect: rect,
+        onion_found: box !== null,
+        overview: overview,
+        lighting: correction
+    };
+}
+
+/**
+ * Load an optional decoder package with a helpful error when it is missing
+ */
+function requireDecoder(packageName, format) {
+    try {
+        return require(packageName);
+    } catch (error) {
+        throw new Error(`Decoding ${format} files requires the "${packageName}" package (npm install ${packageName})`);
+    }
+}
+
+/**
+ * Decode a PNG or JPEG buffer into RGBA pixels
+ * @param {Buffer} buffer - Encoded image bytes
+ * @returns {{data: Uint8Array, width: number, height: number}} Decoded image
+ */
+function decodeImage(buffer) {
+    // PNG signature: 89 50 4E 47
+    if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) {
+        const { PNG } = requireDecoder('pngjs', 'PNG');
+        const png = PNG.sync.read(buffer);
+        return { data: png.data, width: png.width, height: png.height };
+    }
+
+    // JPEG signature: FF D8
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        const jpeg = requireDecoder('jpeg-js', 'JPEG');
+        const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        return { data: decoded.data, width: decoded.width, height: decoded.height };
+    }
+
+    throw new Error('Unsupported image format (expected PNG or JPEG)');
+}
+
+/**
+ * Read a detection profile JSON file
+ * @param {string} filePath - Path to the profile (e.g. profiles/default.json)
+ * @returns {Object} Parsed profile
+ */
+function loadProfileFile(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Analyze raw RGBA pixels
+ * The image is framed to a 224x224 square around the onion first, exactly like the browser app
+ * @param {Uint8Array|Uint8ClampedArray|Buffer} data - RGBA pixels, 4 bytes per pixel
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} [options]
+ * @param {Object|string} [options.profile] - Detection profile object or path to a profile JSON file
+ * @param {string} [options.variety='auto'] - Onion variety (yellow, white, red) or 'auto' to detect
+ * @param {number} [options.mmPerPixel] - Fixed-camera calibration in mm per original image pixel,
+ *     used when no reference marker is found in the image
+ * @returns {Object} { onion_detected, features, shelf_life_days, quality_grade, profile, framing } - days and
+ *     grade are null when no onion is found, as the browser app shows "No Onion Detected" instead of a grade
+ */
+function analyzePixels(data, width, height, options = {}) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error(`Invalid image size: ${width}x${height}`);
+    }
+    if (!data || data.length < width * height * 4) {
+        throw new Error(`Expected ${width * height * 4} bytes of RGBA data, got ${data ? data.length : 0}`);
+    }
+
+    const profile = typeof options.profile === 'string' ? loadProfileFile(options.profile) : options.profile;
+    const extractor = new OnionFeatureExtractor({ verbose: false, profile: profile, variety: options.variety });
+    const framed = frameRgba(extractor, data, width, height);
+
+    // A reference marker anywhere in the image, else the fixed-camera scale; rescaled to the crop,
+    // where each analysis pixel covers rect.width/224 original pixels
+    const marker = extractor.findReferenceMarker(framed.overview, ANALYSIS_SIZE, ANALYSIS_SIZE);
+    let calibration = null;
+    if (marker) {
+        calibration = {
+            source: marker.calibration.source,
+            mm_per_px_x: marker.calibration.mm_per_px_x * framed.rect.width / width,
+            mm_per_px_y: marker.calibration.mm_per_px_y * framed.rect.height / height
+        };
+    } else if (options.mmPerPixel) {
+        calibration = {
+            source: 'fixed',
+            mm_per_px_x: options.mmPerPixel * framed.rect.width / ANALYSIS_SIZE,
+            mm_per_px_y: options.mmPerPixel * framed.rect.height / ANALYSIS_SIZE
+        };
+    }
+    const features = extractor.extractFeaturesFromPixels(framed.pixels, ANALYSIS_SIZE, ANALYSIS_SIZE, {
+        calibration: calibration,
+        lighting: framed.lighting
+    });
+    const onionDetected = features.segmentation.onion_detected;
+    const shelfLife = onionDetected ? extractor.calculateShelfLife(features) : null;
+
+    return {
+        onion_detected: onionDetected,
+        features: features,
+        shelf_life_days: shelfLife,
+        quality_grade: onionDetected ? extractor.getQualityGrade(shelfLife, features.variety) : null,
+        profile: extractor.getProfileInfo(),
+        framing: {
+            x: Math.round(framed.rect.x),
+            y: Math.round(framed.rect.y),
+            size: Math.round(framed.rect.width),
+            source_width: width,
+            source_height: height,
+            onion_found: framed.onion_found
+        }
+    };
+}
+
+/**
+ * Analyze an encoded PNG/JPEG buffer or an already-decoded image
+ * @param {Buffer|{data: Uint8Array, width: number, height: number}} image
+ * @param {Object} [options] - Same as analyzePixels
+ * @returns {Object} Same as analyzePixels
+ */
+function analyzeImage(image, options = {}) {
+    const decoded = Buffer.isBuffer(image) ? decodeImage(image) : image;
+    return analyzePixels(decoded.data, decoded.width, decoded.height, options);
+}
+
+/**
+ * Analyze a PNG/JPEG file on disk
+ * @param {string} filePath - Path to the image file
+ * @param {Object} [options] - Same as analyzePixels
+ * @returns {Object} { file } plus the analyzePixels result
+ */
+function analyzeFile(filePath, options = {}) {
+    const result = analyzeImage(fs.readFileSync(filePath), options);
+    return Object.assign({ file: path.basename(filePath) }, result);
+}
+
+module.exports = {
+    ANALYSIS_SIZE,
+    resizeRgba,
+    cropRgba,
+    frameRgba,
+    decodeImage,
+    loadProfileFile,
+    analyzePixels,
+    analyzeImage,
+    analyzeFile
+};
+
+// Command line: print one JSON result per file
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+    const profileFlag = args.indexOf('--profile');
+    if (profileFlag !== -1) {
+        options.profile = loadProfileFile(args[profileFlag + 1]);
+        args.splice(profileFlag, 2);
+    }
+    const varietyFlag = args.indexOf('--variety');
+    if (varietyFlag !== -1) {
+        options.variety = args[varietyFlag + 1];
+        args.splice(varietyFlag, 2);
+    }
+    const scaleFlag = args.indexOf('--mm-per-pixel');
+    if (scaleFlag !== -1) {
+        options.mmPerPixel = parseFloat(args[scaleFlag + 1]);
+        args.splice(scaleFlag, 2);
+    }
+
+    const files = args;
+    if (files.length === 0) {
+        console.error('Usage: node onion_node.js [--profile profile.json] [--variety auto|yellow|white|red] [--mm-per-pixel n] <image.png|image.jpg> [...]');
+        process.exit(1);
+    }
+
+    const results = files.map(file => {
+        try {
+            return analyzeFile(file, options);
+        } catch (error) {
+            return { file: path.basename(file), error: error.message };
+        }
+    });
+
+    console.log(JSON.stringify(results, null, 2));
+}
@@ -0,0 +1,150 @@
+/**
+ * Overlay Drawing Module
+ * Draws annotations on transparent canvases stacked over the image preview and the webcam canvas
+ * Positions are given normalised to 0-1 so they work for any displayed size
+ */
+
+/**
+ * Get (or create) the overlay canvas sitting on top of a target element
+ * The target's parent must be positioned (position: relative)
+ * @param {HTMLElement} target - Image preview or webcam canvas
+ * @returns {HTMLCanvasElement} Overlay canvas sized to the target's displayed size
+ */
+function getOverlayCanvas(target) {
+    const parent = target.parentElement;
+    let overlay = parent.querySelector('canvas.overlay-canvas');
+
+    if (!overlay) {
+        overlay = document.createElement('canvas');
+        overlay.className = 'overlay-canvas';
+        overlay.style.position = 'absolute';
+        overlay.style.pointerEvents = 'none';
+        parent.appendChild(overlay);
+    }
+
+    // Match the target's displayed position and size
+    const width = target.clientWidth || target.width;
+    const height = target.clientHeight || target.height;
+    if (overlay.width !== width || overlay.height !== height) {
+        overlay.width = width;
+        overlay.height = height;
+    }
+    overlay.style.left = `${target.offsetLeft}px`;
+    overlay.style.top = `${target.offsetTop}px`;
+    overlay.style.width = `${width}px`;
+    overlay.style.height = `${height}px`;
+
+    return overlay;
+}
+
+/**
+ * Remove all annotations over a target element
+ */
+function clearOverlay(target) {
+    const existing = target && target.parentElement && target.parentElement.querySelector('canvas.overlay-canvas');
+    if (existing) {
+        existing.getContext('2d').clearRect(0, 0, existing.width, existing.height);
+    }
+}
+
+/**
+ * Draw labelled boxes over a target element (on top of anything already drawn)
+ * @param {HTMLElement} target - Image preview or webcam canvas
+ * @param {Array<{box: {x, y, width, height}, label: string, color: string}>} boxes - Normalised boxes
+ */
+function drawLabelledBoxes(target, boxes) {
+    const overlay = getOverlayCanvas(target);
+    const ctx = overlay.getContext('2d');
+
+    ctx.lineWidth = 2;
+    ctx.font = 'bold 12px Arial';
+    ctx.textBaseline = 'top';
+
+    for (const { box, label, color } of boxes) {
+        const x = box.x * overlay.width;
+        const y = box.y * overlay.height;
+        const width = box.width * overlay.width;
+        const height = box.height * overlay.height;
+
+        ctx.strokeStyle = color;
+        ctx.strokeRect(x, y, width, height);
+
+        if (label) {
+            const textWidth = ctx.measureText(label).width + 8;
+            // Keep the label inside the overlay when the box touches the top edge
+            const labelY = y >= 18 ? y - 18 : y;
+            ctx.fillStyle = color;
+            ctx.fillRect(x, labelY, textWidth, 18);
+            ctx.fillStyle = 'white';
+            ctx.fillText(label, x + 4, labelY + 3);
+        }
+    }
+}
+
+/**
+ * Draw colour-coded pixel masks over a target element (on top of anything already drawn)
+ * @param {HTMLElement} target - Image preview or webcam canvas
+ * @param {number} width - Mask width in pixels
+ * @param {number} height - Mask height in pixels
+ * @param {Array<{mask: Uint8Array, color: number[]}>} layers - Masks (1 = marked) and their [r, g, b] colours
+ * @param {number} [alpha=0.55] - Opacity of marked pixels
+ */
+function drawMaskOverlay(target, width, height, layers, alpha = 0.55) {
+    if (layers.length === 0) return;
+
+    const maskCanvas = document.createElement('canvas');
+    maskCanvas.width = width;
+    maskCanvas.height = height;
+    const maskCtx = maskCanvas.getContext('2d');
+    const image = maskCtx.createImageData(width, height);
+    const opacity = Math.round(alpha * 255);
+
+    // Later layers are drawn over earlier ones
+    for (const { mask, color } of layers) {
+        for (let i = 0; i < mask.length; i++) {
+            if (!mask[i]) continue;
+            const idx = i * 4;
+            image.data[idx] = color[0];
+            image.data[idx + 1] = color[1];
+            image.data[idx + 2] = color[2];
+            image.data[idx + 3] = opacity;
+        }
+    }
+    maskCtx.putImageData(image, 0, 0);
+
+    const overlay = getOverlayCanvas(target);
+    const ctx = overlay.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(maskCanvas, 0, 0, overlay.width, overlay.height);
+}
+
+/**
+ * Draw a 0-1 heat map over a target element (on top of anything already drawn)
+ * Low values stay transparent; higher values go from yellow to red and become more opaque
+ * @param {HTMLElement} target - Image preview or webcam canvas
+ * @param {number} width - Map width in pixels
+ * @param {number} height - Map height in pixels
+ * @param {Float32Array|number[]} values - One value (0-1) per pixel
+ * @param {number} [alpha=0.6] - Opacity of the highest values
+ */
+function drawHeatOverlay(target, width, height, values, alpha = 0.6) {
+    const heatCanvas = document.createElement('canvas');
+    heatCanvas.width = width;
+    heatCanvas.height = height;
+    const heatCtx = heatCanvas.getContext('2d');
+    const image = heatCtx.createImageData(width, height);
+
+    for (let i = 0; i < values.length; i++) {
+        const value = values[i];
+        if (value < 0.1) continue;
+        const idx = i * 4;
+        image.data[idx] = 255;
+        image.data[idx + 1] = Math.round(255 * (1 - value));
+        image.data[idx + 2] = 0;
+        image.data[idx + 3] = Math.round(alpha * value * 255);
+    }
+    heatCtx.putImageData(image, 0, 0);
+
+    const overlay = getOverlayCanvas(target);
+    overlay.getContext('2d').drawImage(heatCanvas, 0, 0, overlay.width, overlay.height);
+}
@@ -0,0 +1,167 @@
+/**
+ * Model Saliency Module
+ * Shows which parts of the graded image the Teachable Machine model relied on, using occlusion
+ * sensitivity: a grey patch is slid over the model input and the drop in the predicted class's
+ * probability is recorded wherever the patch covered the image. Works with any model, since it only
+ * needs predictions, and is drawn over the preview as a heat map (red = covering it mattered most)
+ * Depends on tf (TensorFlow.js), model, lastOverlay, imagePreview and redrawOverlay() from app.js
+ * and drawHeatOverlay() from overlay.js
+ */
+
+// Occluding patch and step in model input pixels (224x224: 13 x 13 = 169 occluded copies)
+const SALIENCY_PATCH_SIZE = 32;
+const SALIENCY_STRIDE = 16;
+
+// Occluded copies sent through the model at once
+const SALIENCY_BATCH_SIZE = 16;
+
+// Last computed map: { source, classIndex, map }; recomputed when the source or class changes
+let saliencyCache = null;
+// Source whose map is being computed, so redraws do not start it twice
+let saliencyPending = null;
+
+/**
+ * Occlusion saliency of one class for a model input
+ * @param {Object} tmModel - Loaded Teachable Machine model (tmImage.load)
+ * @param {HTMLCanvasElement} input - Square model input (e.g. the framed crop)
+ * @param {number} classIndex - Class whose probability is explained
+ * @returns {Promise<Object>} { width, height, values: Float32Array (0-1 per pixel), probability, max_drop }
+ */
+async function computeOcclusionSaliency(tmModel, input, classIndex) {
+    const metadata = tmModel.getMetadata();
+    const size = metadata.imageSize || 224;
+
+    // Same preprocessing as tmImage: resized to the model size and scaled to -1..1
+    const base = tf.tidy(() => {
+        let pixels = tf.image.resizeBilinear(tf.browser.fromPixels(input), [size, size]);
+        if (metadata.grayscale) {
+            pixels = pixels.mul(tf.tensor1d([0.2989, 0.5870, 0.1140])).sum(-1).expandDims(-1);
+        }
+        return pixels.toFloat().div(tf.scalar(127)).sub(tf.scalar(1)).expandDims(0);
+    });
+
+    const patches = [];
+    for (let y = 0; y + SALIENCY_PATCH_SIZE <= size; y += SALIENCY_STRIDE) {
+        for (let x = 0; x + SALIENCY_PATCH_SIZE <= size; x += SALIENCY_STRIDE) {
+            patches.push({ x, y });
+        }
+    }
+
+    try {
+        const original = tf.tidy(() => tmModel.model.predict(base));
+        const probability = (await original.data())[classIndex];
+        original.dispose();
+
+        const dropSum = new Float32Array(size * size);
+        const coverCount = new Float32Array(size * size);
+        let maxDrop = 0;
+
+        for (let start = 0; start < patches.length; start += SALIENCY_BATCH_SIZE) {
+            const batch = patches.slice(start, start + SALIENCY_BATCH_SIZE);
+
+            // 0 in the scaled input is mid-grey, so masking a patch to 0 greys it out
+            const mask = new Float32Array(batch.length * size * size).fill(1);
+            batch.forEach(({ x, y }, n) => {
+                for (let row = y; row < y + SALIENCY_PATCH_SIZE; row++) {
+                    mask.fill(0, n * size * size + row * size + x, n * size * size + row * size + x + SALIENCY_PATCH_SIZE);
+                }
+            });
+            const output = tf.tidy(() => tmModel.model.predict(base.mul(tf.tensor4d(mask, [batch.length, size, size, 1]))));
+            const values = await output.data();
+            const classes = output.shape[1];
+            output.dispose();
+
+            batch.forEach(({ x, y }, n) => {
+                const drop = Math.max(0, probability - values[n * classes + classIndex]);
+                maxDrop = Math.max(maxDrop, drop);
+                for (let row = y; row < y + SALIENCY_PATCH_SIZE; row++) {
+                    for (let col = x; col < x + SALIENCY_PATCH_SIZE; col++) {
+                        dropSum[row * size + col] += drop;
+                        coverCount[row * size + col]++;
+                    }
+                }
+            });
+
+            // Let the page repaint between batches
+            await tf.nextFrame();
+        }
+
+        const map = new Float32Array(size * size);
+        let peak = 0;
+        for (let i = 0; i < map.length; i++) {
+            map[i] = coverCount[i] > 0 ? dropSum[i] / coverCount[i] : 0;
+            peak = Math.max(peak, map[i]);
+        }
+        if (peak > 0) {
+            for (let i = 0; i < map.length; i++) map[i] /= peak;
+        }
+
+        return {
+            width: size,
+            height: size,
+            values: map,
+            probability: probability,
+            max_drop: Math.round(maxDrop * 1000) / 1000
+        };
+    } finally {
+        base.dispose();
+    }
+}
+
+// Index of the most probable class in a predict() result
+function getPredictedClassIndex(prediction) {
+    let best = 0;
+    prediction.forEach((entry, index) => {
+        if (entry.probability > prediction[best].probability) best = index;
+    });
+    return best;
+}
+
+// Text next to the saliency checkbox
+function setSaliencyStatus(text) {
+    document.getElementById('saliency-status').textContent = text;
+}
+
+/**
+ * Draw the saliency map of a single-onion model result over the preview, computing it on first use
+ * Only uploads and captured stills get a map; the live webcam would be slowed down too much
+ */
+function drawSaliencyMap(target, source, result) {
+    if (target !== imagePreview) return;
+    if (!document.getElementById('saliency-toggle').checked) {
+        setSaliencyStatus('');
+        return;
+    }
+    if (!result || !result.prediction || !model) {
+        setSaliencyStatus(result ? 'needs a model prediction (not demo or features-only mode)' : '');
+        return;
+    }
+
+    const classIndex = getPredictedClassIndex(result.prediction);
+    if (saliencyCache && saliencyCache.source === source && saliencyCache.classIndex === classIndex) {
+        drawHeatOverlay(target, saliencyCache.map.width, saliencyCache.map.height, saliencyCache.map.values);
+        return;
+    }
+    if (saliencyPending !== source) {
+        computeSaliencyMap(source, classIndex, result.prediction[classIndex].className);
+    }
+}
+
+// Compute the map in the background and redraw the overlay when it is ready
+async function computeSaliencyMap(source, classIndex, label) {
+    saliencyPending = source;
+    setSaliencyStatus(`computing for "${label}"...`);
+    try {
+        const map = await computeOcclusionSaliency(model, source, classIndex);
+        saliencyCache = { source: source, classIndex: classIndex, map: map };
+        setSaliencyStatus(`"${label}": covering the red areas lowered its probability by up to ${Math.round(map.max_drop * 100)}%`);
+        if (lastOverlay && lastOverlay.source === source) {
+            redrawOverlay();
+        }
+    } catch (error) {
+        console.error('Could not compute saliency map:', error);
+        setSaliencyStatus(`failed: ${error.message}`);
+    } finally {
+        saliencyPending = null;
+    }
+}
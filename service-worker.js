@@ -0,0 +1,104 @@
+/**
+ * Service Worker - offline support
+ * Caches the app shell, the pinned TensorFlow.js / Teachable Machine libraries and every model
+ * listed in models.json, so the app starts and grades images without a network connection
+ * Bump CACHE_VERSION whenever a cached file changes so clients pick up the new copy
+ */
+
+const CACHE_VERSION = 1;
+const CACHE_PREFIX = 'onion-shelf-life-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// Everything the page needs to start
+const APP_SHELL = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './feature_extraction.js',
+    './overlay.js',
+    './app.js',
+    './batch_grading.js',
+    './history.js',
+    './lot_tracking.js',
+    './saliency.js',
+    './profiles/default.json',
+    './vendor/tfjs-1.3.1/tf.min.js',
+    './vendor/teachablemachine-image-0.8.5/teachablemachine-image.min.js'
+];
+
+const MODEL_REGISTRY_URL = './models.json';
+
+/**
+ * Cache model.json, metadata.json and the weight files of every model in models.json
+ * Models whose files are missing are skipped so one bad entry does not block installation
+ */
+async function cacheModels(cache) {
+    const response = await fetch(MODEL_REGISTRY_URL);
+    if (!response.ok) {
+        console.warn('Service worker: models.json not found, no models cached');
+        return;
+    }
+    await cache.put(MODEL_REGISTRY_URL, response.clone());
+    const manifest = await response.json();
+
+    for (const entry of manifest.models) {
+        try {
+            const modelResponse = await fetch(entry.path + 'model.json');
+            if (!modelResponse.ok) {
+                throw new Error(`HTTP ${modelResponse.status}`);
+            }
+            const topology = await modelResponse.clone().json();
+            await cache.put(entry.path + 'model.json', modelResponse);
+
+            const weightFiles = topology.weightsManifest.flatMap(group => group.paths);
+            await cache.addAll([entry.path + 'metadata.json'].concat(weightFiles.map(file => entry.path + file)));
+        } catch (error) {
+            console.warn(`Service worker: could not cache model "${entry.id}":`, error);
+        }
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        await cacheModels(cache);
+        await self.skipWaiting();
+    })());
+});
+
+// Drop caches from older versions
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Serve same-origin files from the cache and refresh the cached copy in the background when online
+// (query strings such as app.js?v=2.0 or index.html?model=<id> match the cached file)
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request, { ignoreSearch: true });
+        const network = fetch(request).then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+        if (cached) {
+            event.waitUntil(network.catch(() => null));
+            return cached;
+        }
+        return network;
+    })());
+});
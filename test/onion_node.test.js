@@ -0,0 +1,159 @@
+/**
+ * Checks for the headless Node.js API on synthetic photos
+ * Run with: npm test (after npm install, which brings the pngjs and jpeg-js decoders)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const { resizeRgba, cropRgba, analyzePixels, analyzeImage, analyzeFile } = require('../onion_node.js');
+const defaultProfile = require('../profiles/default.json');
+
+// Wide photo of one round onion on a plain background (200 px radius at 0.2 mm/px = 80 mm)
+const WIDTH = 1600;
+const HEIGHT = 900;
+const CENTER = { x: 1000, y: 450 };
+const RADIUS = 200;
+const MM_PER_PIXEL = 0.2;
+
+/**
+ * Synthetic RGBA photo
+ * @param {Object} [options] - { background, skin: [r, g, b], cast: [r, g, b] channel gains, paint(x, y) => [r, g, b] | null }
+ */
+function createPhoto(options = {}) {
+    const background = options.background || [150, 150, 150];
+    const skin = options.skin || [205, 150, 60];
+    const cast = options.cast || [1, 1, 1];
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const inside = Math.hypot(x - CENTER.x, y - CENTER.y) < RADIUS;
+            const color = (options.paint && options.paint(x, y)) || (inside ? skin : background);
+            const i = (y * WIDTH + x) * 4;
+            data[i] = color[0] * cast[0];
+            data[i + 1] = color[1] * cast[1];
+            data[i + 2] = color[2] * cast[2];
+            data[i + 3] = 255;
+        }
+    }
+    return data;
+}
+
+// Green shoot growing up out of the top of the onion: 25 x 100 px, about 2% of the onion's area
+const SHOOT_RATIO = 25 * 100 / (Math.PI * RADIUS * RADIUS);
+function paintShoot(x, y) {
+    return Math.abs(x - CENTER.x) <= 12 && y > CENTER.y - RADIUS - 70 && y < CENTER.y - RADIUS + 30
+        ? [70, 170, 50]
+        : null;
+}
+
+test('resizeRgba and cropRgba return the requested size', () => {
+    const data = createPhoto();
+    const resized = resizeRgba(data, WIDTH, HEIGHT, 224, 224);
+    assert.strictEqual(resized.length, 224 * 224 * 4);
+    assert.deepStrictEqual(Array.from(resized.slice(0, 4)), [150, 150, 150, 255]);
+
+    // A square reaching past the left edge is filled there
+    const crop = cropRgba(data, WIDTH, HEIGHT, { x: -100, y: 0, width: 400, height: 400 }, 224, [0, 0, 255]);
+    assert.strictEqual(crop.length, 224 * 224 * 4);
+    assert.deepStrictEqual(Array.from(crop.slice(0, 4)), [0, 0, 255, 255]);
+    assert.deepStrictEqual(Array.from(crop.slice(223 * 4, 224 * 4)), [150, 150, 150, 255]);
+});
+
+test('a yellow onion is framed, measured and graded', () => {
+    const result = analyzePixels(createPhoto(), WIDTH, HEIGHT, { mmPerPixel: MM_PER_PIXEL });
+
+    assert.strictEqual(result.onion_detected, true);
+    assert.strictEqual(result.framing.onion_found, true);
+    assert.ok(result.framing.x <= CENTER.x - RADIUS && result.framing.x + result.framing.size >= CENTER.x + RADIUS);
+    assert.ok(result.framing.y <= CENTER.y - RADIUS && result.framing.y + result.framing.size >= CENTER.y + RADIUS);
+
+    assert.ok(Math.abs(result.features.dimensions.diameter_mm - 80) <= 2, `diameter ${result.features.dimensions.diameter_mm} mm`);
+    assert.strictEqual(result.features.variety.name, 'yellow');
+    assert.strictEqual(result.features.sprouting_detected, 0);
+
+    assert.strictEqual(typeof result.shelf_life_days, 'number');
+    assert.ok(result.shelf_life_days > 0 && result.shelf_life_days <= defaultProfile.shelf_life.max_days);
+    assert.strictEqual(typeof result.quality_grade, 'string');
+});
+
+test('a warm light cast does not change the size or variety', () => {
+    const result = analyzePixels(createPhoto({ cast: [1.2, 1, 0.75] }), WIDTH, HEIGHT, { mmPerPixel: MM_PER_PIXEL });
+
+    assert.strictEqual(result.features.white_balance.method, 'gray_world');
+    assert.ok(result.features.white_balance.gains.b > 1.2);
+    assert.ok(Math.abs(result.features.dimensions.diameter_mm - 80) <= 2, `diameter ${result.features.dimensions.diameter_mm} mm`);
+    assert.strictEqual(result.features.variety.name, 'yellow');
+});
+
+test('a red onion is recognised as red', () => {
+    const result = analyzePixels(createPhoto({ skin: [140, 40, 80] }), WIDTH, HEIGHT, { mmPerPixel: MM_PER_PIXEL });
+
+    assert.strictEqual(result.framing.onion_found, true);
+    assert.strictEqual(result.features.variety.name, 'red');
+});
+
+test('a sprout is measured against the onion and lowers the shelf life', () => {
+    const healthy = analyzePixels(createPhoto(), WIDTH, HEIGHT, { mmPerPixel: MM_PER_PIXEL });
+    const sprouting = analyzePixels(createPhoto({ paint: paintShoot }), WIDTH, HEIGHT, { mmPerPixel: MM_PER_PIXEL });
+
+    // The part of the shoot outside the onion counts too, and the share is of the onion, not of the frame
+    const ratio = sprouting.features.sprouting_detected;
+    assert.ok(Math.abs(ratio - SHOOT_RATIO) < SHOOT_RATIO * 0.3, `sprouting ${ratio}, expected about ${SHOOT_RATIO.toFixed(3)}`);
+    assert.ok(sprouting.shelf_life_days < healthy.shelf_life_days);
+});
+
+test('an empty table, tray or hand is not taken for an onion', () => {
+    const scenes = { table: [215, 190, 150], tray: [235, 235, 230], skin: [225, 175, 145], wood: [160, 110, 70] };
+    for (const [scene, color] of Object.entries(scenes)) {
+        // Slight noise, as in a real photo of a plain surface
+        const photo = createPhoto({ paint: (x, y) => color.map(value => value + (x * 7 + y * 13) % 9 - 4) });
+        const result = analyzePixels(photo, WIDTH, HEIGHT, { mmPerPixel: MM_PER_PIXEL });
+
+        assert.strictEqual(result.framing.onion_found, false, scene);
+        assert.strictEqual(result.features.segmentation.onion_detected, false, scene);
+        assert.strictEqual(result.features.segmentation.coverage, 0, scene);
+    }
+});
+
+test('a frame without an onion gets no shelf life or grade', () => {
+    const black = new Uint8ClampedArray(64 * 64 * 4);
+    for (let i = 3; i < black.length; i += 4) black[i] = 255;
+    const result = analyzePixels(black, 64, 64);
+
+    assert.strictEqual(result.onion_detected, false);
+    assert.strictEqual(result.shelf_life_days, null);
+    assert.strictEqual(result.quality_grade, null);
+});
+
+test('encoded PNG and JPEG photos are decoded and graded', () => {
+    const photo = { data: Buffer.from(createPhoto()), width: WIDTH, height: HEIGHT };
+    const png = PNG.sync.write(photo);
+    const jpg = jpeg.encode(photo, 95).data;
+
+    for (const [format, buffer] of [['PNG', png], ['JPEG', jpg]]) {
+        const result = analyzeImage(buffer, { mmPerPixel: MM_PER_PIXEL });
+        assert.strictEqual(result.onion_detected, true, format);
+        assert.strictEqual(result.features.variety.name, 'yellow', format);
+        assert.ok(Math.abs(result.features.dimensions.diameter_mm - 80) <= 2, `${format} diameter ${result.features.dimensions.diameter_mm} mm`);
+    }
+
+    assert.throws(() => analyzeImage(Buffer.from('not an image')), /Unsupported image format/);
+});
+
+test('analyzeFile reads a photo from disk', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'onion-'));
+    const file = path.join(dir, 'onion.png');
+    try {
+        fs.writeFileSync(file, PNG.sync.write({ data: Buffer.from(createPhoto()), width: WIDTH, height: HEIGHT }));
+        const result = analyzeFile(file, { mmPerPixel: MM_PER_PIXEL });
+        assert.strictEqual(result.file, 'onion.png');
+        assert.strictEqual(typeof result.shelf_life_days, 'number');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});